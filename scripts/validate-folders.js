@@ -0,0 +1,25 @@
+// Validate src/folders.json from the command line.
+// Usage: node scripts/validate-folders.js [path/to/folders.json]
+// Exits with status 1 when any errors are found.
+
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateFolderGraph, formatIssue } from '../src/folder-validator.js';
+
+const srcDir = resolve(dirname(fileURLToPath(import.meta.url)), '../src');
+const readJson = path => JSON.parse(readFileSync(path, 'utf8'));
+
+const graphPath = process.argv[2] ? resolve(process.argv[2]) : resolve(srcDir, 'folders.json');
+const issues = validateFolderGraph(readJson(graphPath), {
+  puzzles: readJson(resolve(srcDir, 'puzzles.json')),
+  clues: readJson(resolve(srcDir, 'clues.json'))
+});
+
+issues.forEach(issue => console.log(formatIssue(issue)));
+
+const errorCount = issues.filter(issue => issue.level === 'error').length;
+const warningCount = issues.length - errorCount;
+console.log(`\n${graphPath}: ${errorCount} error(s), ${warningCount} warning(s)`);
+
+process.exit(errorCount > 0 ? 1 : 0);
@@ -0,0 +1,338 @@
+// Camera Config Editor
+// Turns the camera debug HUD into a tuning panel for CAMERA_CONFIG:
+//   - one slider per field, editing the live config object in place
+//   - validation that flags impossible ranges, e.g. minDistance > maxDistance
+//   - named profiles in localStorage; the active one is restored on load
+//   - export as a camera-config.js module, ready to paste over the original
+//
+// Profiles are stored as { active: name | null, profiles: { name: config } }.
+
+export const CAMERA_GROUPS = {
+  folder: 'Folder mode (viewing the entire folder platform)',
+  node: 'Node mode (viewing a selected node up close)',
+  overview: 'Overview mode (orbiting the whole folder graph)'
+};
+
+// group null means a top-level field
+export const CAMERA_FIELDS = [
+  { group: 'folder', key: 'minDistance', min: 2, max: 150, step: 0.5, note: 'Closest zoom when viewing folder' },
+  { group: 'folder', key: 'maxDistance', min: 2, max: 150, step: 0.5, note: 'Furthest zoom when viewing folder (see multiple rows)' },
+  { group: 'folder', key: 'initialDistance', min: 2, max: 300, step: 1, note: 'Starting distance on load (only used once)' },
+  { group: 'folder', key: 'minHeight', min: 0, max: 100, step: 0.5, note: 'Height at closest zoom' },
+  { group: 'folder', key: 'maxHeight', min: 0, max: 100, step: 0.5, note: 'Height at furthest zoom' },
+  { group: 'folder', key: 'initialHeight', min: 0, max: 100, step: 0.5, note: 'Starting height' },
+
+  { group: 'node', key: 'minDistance', min: 1, max: 100, step: 0.5, note: 'Closest zoom when viewing a node' },
+  { group: 'node', key: 'maxDistance', min: 1, max: 100, step: 0.5, note: 'Furthest zoom when viewing a node' },
+  { group: 'node', key: 'selectDistance', min: 1, max: 100, step: 0.5, note: 'Distance when first selecting a node' },
+  { group: 'node', key: 'minHeight', min: 0, max: 60, step: 0.5, note: 'Height at closest zoom' },
+  { group: 'node', key: 'maxHeight', min: 0, max: 60, step: 0.5, note: 'Height at furthest zoom' },
+
+  { group: 'overview', key: 'minDistance', min: 10, max: 1000, step: 5, note: 'Closest dolly' },
+  { group: 'overview', key: 'maxDistance', min: 10, max: 1000, step: 5, note: 'Furthest dolly' },
+  { group: 'overview', key: 'initialDistance', min: 10, max: 1000, step: 5, note: 'Distance when entering overview' },
+  { group: 'overview', key: 'minPitch', min: 0, max: 1.55, step: 0.01, note: 'Lowest orbit angle above the horizon (radians)' },
+  { group: 'overview', key: 'maxPitch', min: 0, max: 1.55, step: 0.01, note: 'Highest orbit angle, nearly straight down' },
+  { group: 'overview', key: 'initialPitch', min: 0, max: 1.55, step: 0.01, note: 'Orbit angle when entering overview' },
+  { group: 'overview', key: 'orbitSpeed', min: 0.0005, max: 0.02, step: 0.0005, note: 'Radians per dragged pixel' },
+  { group: 'overview', key: 'panSpeed', min: 0.0001, max: 0.01, step: 0.0001, note: 'Pan per dragged pixel, as a fraction of the distance' },
+  { group: 'overview', key: 'dollySpeed', min: 0.0001, max: 0.01, step: 0.0001, note: 'Dolly per zoom step, as a fraction of the distance' },
+  { group: 'overview', key: 'inertia', min: 0.5, max: 20, step: 0.5, note: 'How quickly orbit and pan glide to a stop (higher = sooner)' },
+  { group: 'overview', key: 'boundsPadding', min: 0, max: 400, step: 5, note: 'How far past the outermost folders the view may pan' },
+
+  { group: null, key: 'deselectThreshold', min: 5, max: 200, step: 1, note: 'Deselect threshold (zoom out past this to deselect node)' },
+  { group: null, key: 'smoothFactor', min: 0.5, max: 20, step: 0.5, note: 'Animation smoothing (higher = faster, lower = smoother)' },
+  { group: null, key: 'zoomSpeed', min: 0.01, max: 1, step: 0.01, note: 'Zoom speed multiplier' }
+];
+
+// [group, lowKey, highKey]: low must not exceed high
+const RANGE_RULES = [
+  ['folder', 'minDistance', 'maxDistance'],
+  ['folder', 'minHeight', 'maxHeight'],
+  ['node', 'minDistance', 'maxDistance'],
+  ['node', 'minHeight', 'maxHeight'],
+  ['overview', 'minDistance', 'maxDistance'],
+  ['overview', 'minPitch', 'maxPitch']
+];
+
+// [group, key, lowKey, highKey]: key should sit inside the range
+const WITHIN_RULES = [
+  ['node', 'selectDistance', 'minDistance', 'maxDistance'],
+  ['overview', 'initialDistance', 'minDistance', 'maxDistance'],
+  ['overview', 'initialPitch', 'minPitch', 'maxPitch']
+];
+
+function fieldPath(field) {
+  return field.group ? `${field.group}.${field.key}` : field.key;
+}
+
+function getValue(config, field) {
+  return field.group ? config[field.group][field.key] : config[field.key];
+}
+
+function setValue(config, field, value) {
+  if (field.group) {
+    config[field.group][field.key] = value;
+  } else {
+    config[field.key] = value;
+  }
+}
+
+// Returns [{ paths: ['folder.minDistance', ...], message }]
+export function validateCameraConfig(config) {
+  const issues = [];
+
+  CAMERA_FIELDS.forEach(field => {
+    const value = getValue(config, field);
+    if (!Number.isFinite(value) || value < 0) {
+      issues.push({ paths: [fieldPath(field)], message: `${fieldPath(field)} must be a non-negative number` });
+    }
+  });
+
+  RANGE_RULES.forEach(([group, lowKey, highKey]) => {
+    const low = config[group][lowKey];
+    const high = config[group][highKey];
+    if (low > high) {
+      issues.push({
+        paths: [`${group}.${lowKey}`, `${group}.${highKey}`],
+        message: `${group}.${lowKey} (${low}) > ${group}.${highKey} (${high})`
+      });
+    }
+  });
+
+  WITHIN_RULES.forEach(([group, key, lowKey, highKey]) => {
+    const value = config[group][key];
+    const low = config[group][lowKey];
+    const high = config[group][highKey];
+    if (low <= high && (value < low || value > high)) {
+      issues.push({
+        paths: [`${group}.${key}`],
+        message: `${group}.${key} (${value}) is outside ${lowKey}..${highKey} (${low}..${high})`
+      });
+    }
+  });
+
+  return issues;
+}
+
+function snapshotConfig(config) {
+  return JSON.parse(JSON.stringify(config));
+}
+
+// Copy known, finite fields from a profile onto the config
+function applyValues(config, values) {
+  CAMERA_FIELDS.forEach(field => {
+    const source = field.group ? values[field.group] : values;
+    const value = source && source[field.key];
+    if (Number.isFinite(value)) setValue(config, field, value);
+  });
+}
+
+function readStore(storageKey) {
+  try {
+    const store = JSON.parse(localStorage.getItem(storageKey));
+    if (store && store.profiles && typeof store.profiles === 'object') return store;
+  } catch (err) {
+    console.warn('[CAMERA] Discarding unreadable camera profiles:', err);
+  }
+  return { active: null, profiles: {} };
+}
+
+function writeStore(storageKey, store) {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(store));
+  } catch (err) {
+    console.warn('[CAMERA] Could not save camera profiles:', err);
+  }
+}
+
+// Apply the active profile, if any; call before anything reads the config.
+// Returns a copy of the config as it was before, for the editor's Defaults button.
+export function applyStoredCameraProfile(config, storageKey) {
+  const defaults = snapshotConfig(config);
+  const store = readStore(storageKey);
+  const profile = store.active && store.profiles[store.active];
+  if (profile) applyValues(config, profile);
+  return defaults;
+}
+
+// camera-config.js source for the given config, in the original file's layout
+export function formatCameraConfigModule(config) {
+  const line = (indent, key, value, note) => {
+    const code = `${indent}${key}: ${value},`;
+    return `${code.padEnd(28)}// ${note}`;
+  };
+
+  const sections = [];
+  Object.entries(CAMERA_GROUPS).forEach(([group, title]) => {
+    const fields = CAMERA_FIELDS.filter(field => field.group === group);
+    const body = fields.map(field => line('    ', field.key, getValue(config, field), field.note));
+    body[body.length - 1] = body[body.length - 1].replace(/,(\s*\/\/)/, ' $1');
+    sections.push([`  // ${title}`, `  ${group}: {`, ...body, '  }'].join('\n'));
+  });
+  CAMERA_FIELDS.filter(field => !field.group).forEach(field => {
+    sections.push(`  // ${field.note}\n  ${field.key}: ${getValue(config, field)}`);
+  });
+
+  return [
+    '// Camera Zoom Configuration',
+    '// Adjust these values to change camera behavior',
+    '',
+    'export const CAMERA_CONFIG = {',
+    sections.join(',\n\n'),
+    '};',
+    ''
+  ].join('\n');
+}
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+// defaults: the config before any profile was applied (see applyStoredCameraProfile)
+export function createCameraConfigEditor(container, config, { storageKey, defaults, onChange }) {
+  const rows = new Map(); // path -> { row, input, output, field }
+  let store = readStore(storageKey);
+
+  const toggle = createElement('button', 'tuner-toggle', 'TUNE');
+  const body = createElement('div', 'tuner-body');
+  const issuesEl = createElement('div', 'tuner-issues');
+  const profileSelect = createElement('select', 'tuner-profile-select');
+  const nameInput = createElement('input', 'tuner-profile-name');
+  nameInput.placeholder = 'profile name';
+  nameInput.spellcheck = false;
+
+  toggle.addEventListener('click', () => {
+    container.classList.toggle('open');
+  });
+
+  function addRow(parent, field) {
+    const path = fieldPath(field);
+    const value = getValue(config, field);
+    const row = createElement('label', 'tuner-row');
+    const input = createElement('input');
+    input.type = 'range';
+    input.min = Math.min(field.min, value);
+    input.max = Math.max(field.max, value);
+    input.step = field.step;
+    input.value = value;
+    input.title = field.note;
+    const output = createElement('span', 'tuner-value');
+
+    input.addEventListener('input', () => {
+      setValue(config, field, Number(input.value));
+      refresh();
+      onChange();
+    });
+
+    row.append(createElement('span', 'tuner-key', field.key), input, output);
+    parent.appendChild(row);
+    rows.set(path, { row, input, output, field });
+  }
+
+  [...Object.keys(CAMERA_GROUPS), null].forEach(group => {
+    const section = createElement('div', 'tuner-group');
+    section.appendChild(createElement('div', 'tuner-group-title', group ? group.toUpperCase() : 'GENERAL'));
+    CAMERA_FIELDS.filter(field => field.group === group).forEach(field => addRow(section, field));
+    body.appendChild(section);
+  });
+
+  function button(label, action) {
+    const element = createElement('button', 'tuner-button', label);
+    element.addEventListener('click', action);
+    return element;
+  }
+
+  const profileRow = createElement('div', 'tuner-actions');
+  profileRow.append(
+    profileSelect,
+    button('Load', () => {
+      const profile = store.profiles[profileSelect.value];
+      if (!profile) return;
+      applyValues(config, profile);
+      store.active = profileSelect.value;
+      writeStore(storageKey, store);
+      refresh();
+      onChange();
+    }),
+    button('Delete', () => {
+      if (!store.profiles[profileSelect.value]) return;
+      delete store.profiles[profileSelect.value];
+      if (store.active === profileSelect.value) store.active = null;
+      writeStore(storageKey, store);
+      refresh();
+    })
+  );
+
+  const saveRow = createElement('div', 'tuner-actions');
+  saveRow.append(
+    nameInput,
+    button('Save', () => {
+      const name = nameInput.value.trim();
+      if (!name) return;
+      store.profiles[name] = snapshotConfig(config);
+      store.active = name;
+      writeStore(storageKey, store);
+      nameInput.value = '';
+      refresh();
+    })
+  );
+
+  const fileRow = createElement('div', 'tuner-actions');
+  fileRow.append(
+    button('Defaults', () => {
+      applyValues(config, defaults);
+      store.active = null;
+      writeStore(storageKey, store);
+      refresh();
+      onChange();
+    }),
+    button('Export', () => {
+      const blob = new Blob([formatCameraConfigModule(config)], { type: 'text/javascript' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'camera-config.js';
+      link.click();
+      URL.revokeObjectURL(url);
+    })
+  );
+
+  body.append(issuesEl, profileRow, saveRow, fileRow);
+  container.append(toggle, body);
+
+  // Sync sliders, flags and the profile list with the config and the store
+  function refresh() {
+    const issues = validateCameraConfig(config);
+    const flagged = new Set(issues.flatMap(issue => issue.paths));
+
+    rows.forEach(({ row, input, output, field }, path) => {
+      const value = getValue(config, field);
+      input.value = value;
+      output.textContent = String(value);
+      row.classList.toggle('invalid', flagged.has(path));
+    });
+
+    issuesEl.textContent = '';
+    issues.forEach(issue => issuesEl.appendChild(createElement('div', 'tuner-issue', issue.message)));
+    toggle.classList.toggle('invalid', issues.length > 0);
+
+    profileSelect.textContent = '';
+    const names = Object.keys(store.profiles);
+    if (names.length === 0) {
+      profileSelect.appendChild(createElement('option', null, '(no profiles)'));
+    }
+    names.forEach(name => {
+      const option = createElement('option', null, name);
+      option.value = name;
+      option.selected = name === store.active;
+      profileSelect.appendChild(option);
+    });
+  }
+
+  refresh();
+  return { refresh };
+}
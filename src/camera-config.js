@@ -21,6 +21,21 @@ export const CAMERA_CONFIG = {
     maxHeight: 16           // Height at furthest zoom
   },
 
+  // Overview mode (orbiting the whole folder graph)
+  overview: {
+    minDistance: 40,        // Closest dolly
+    maxDistance: 420,       // Furthest dolly
+    initialDistance: 180,   // Distance when entering overview
+    minPitch: 0.2,          // Lowest orbit angle above the horizon (radians)
+    maxPitch: 1.4,          // Highest orbit angle, nearly straight down
+    initialPitch: 0.9,      // Orbit angle when entering overview
+    orbitSpeed: 0.005,      // Radians per dragged pixel
+    panSpeed: 0.0015,       // Pan per dragged pixel, as a fraction of the distance
+    dollySpeed: 0.0015,     // Dolly per zoom step, as a fraction of the distance
+    inertia: 5,             // How quickly orbit and pan glide to a stop (higher = sooner)
+    boundsPadding: 80       // How far past the outermost folders the view may pan
+  },
+
   // Deselect threshold (zoom out past this to deselect node)
   deselectThreshold: 55,
 
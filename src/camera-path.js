@@ -0,0 +1,143 @@
+// Camera Paths
+// Recorded or authored camera moves for trailers and walkthroughs, as plain JSON:
+//   {
+//     version: 1,
+//     layoutSeed: 'isla-nublar',
+//     startHistory: ['root_usr', ...],  // breadcrumb path playback starts from
+//     keyframes: [{ t, lookAt: [x, y, z], distance, height, yaw, pitch, target? }],
+//     events: [{ t, type: 'enterFolder', folderId }]
+//   }
+// t is seconds from the start. Playback samples a Catmull-Rom spline through the
+// keyframes at a given time, so it depends only on the path and the clock and
+// not on the frame rate it was recorded or played at.
+
+export const CAMERA_PATH_VERSION = 1;
+
+const SCALAR_CHANNELS = ['distance', 'height', 'yaw', 'pitch'];
+const EVENT_TYPES = ['enterFolder'];
+
+export function createCameraPath({ layoutSeed, startHistory }) {
+  return {
+    version: CAMERA_PATH_VERSION,
+    layoutSeed,
+    startHistory: [...startHistory],
+    keyframes: [],
+    events: []
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// camera: { lookAt: Vector3, distance, height, yaw, pitch }; target is an optional
+// { folderId, nodeId } note for authored keyframes
+export function addKeyframe(path, t, camera, target = null) {
+  const keyframe = {
+    t: round(t),
+    lookAt: [round(camera.lookAt.x), round(camera.lookAt.y), round(camera.lookAt.z)],
+    distance: round(camera.distance),
+    height: round(camera.height),
+    yaw: round(camera.yaw),
+    pitch: round(camera.pitch)
+  };
+  if (target) keyframe.target = target;
+
+  const index = path.keyframes.findIndex(existing => existing.t > keyframe.t);
+  const insertAt = index === -1 ? path.keyframes.length : index;
+  path.keyframes.splice(insertAt, 0, keyframe);
+  unwrapYaw(path.keyframes, Math.max(insertAt, 1));
+  return keyframe;
+}
+
+// Yaw can be wrapped at any point; keep each keyframe from `from` on within half a
+// turn of the one before so the spline takes the short way round instead of
+// spinning past 2PI. An insert mid-path can shift every keyframe after it.
+function unwrapYaw(keyframes, from) {
+  for (let i = from; i < keyframes.length; i++) {
+    const turns = Math.round((keyframes[i - 1].yaw - keyframes[i].yaw) / (Math.PI * 2));
+    if (turns !== 0) keyframes[i].yaw = round(keyframes[i].yaw + turns * Math.PI * 2);
+  }
+}
+
+export function addEvent(path, t, event) {
+  path.events.push({ t: round(t), ...event });
+  path.events.sort((a, b) => a.t - b.t);
+}
+
+export function getPathDuration(path) {
+  return path.keyframes.length > 0 ? path.keyframes[path.keyframes.length - 1].t : 0;
+}
+
+// Events with fromT < t <= toT, in order
+export function getEventsBetween(path, fromT, toT) {
+  return path.events.filter(event => event.t > fromT && event.t <= toT);
+}
+
+function catmullRom(p0, p1, p2, p3, u) {
+  const v0 = (p2 - p0) * 0.5;
+  const v1 = (p3 - p1) * 0.5;
+  const u2 = u * u;
+  const u3 = u2 * u;
+  return (2 * p1 - 2 * p2 + v0 + v1) * u3 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * u2 + v0 * u + p1;
+}
+
+// Writes the camera at time t into out ({ lookAt: Vector3, distance, height, yaw, pitch })
+export function sampleCameraPath(path, t, out) {
+  const frames = path.keyframes;
+  const last = frames.length - 1;
+
+  let index = 0;
+  while (index < last - 1 && frames[index + 1].t <= t) index++;
+
+  const k1 = frames[index];
+  const k2 = frames[Math.min(index + 1, last)];
+  const k0 = frames[Math.max(index - 1, 0)];
+  const k3 = frames[Math.min(index + 2, last)];
+  const span = k2.t - k1.t;
+  const u = span > 0 ? Math.min(Math.max((t - k1.t) / span, 0), 1) : 1;
+
+  out.lookAt.set(
+    catmullRom(k0.lookAt[0], k1.lookAt[0], k2.lookAt[0], k3.lookAt[0], u),
+    catmullRom(k0.lookAt[1], k1.lookAt[1], k2.lookAt[1], k3.lookAt[1], u),
+    catmullRom(k0.lookAt[2], k1.lookAt[2], k2.lookAt[2], k3.lookAt[2], u)
+  );
+  SCALAR_CHANNELS.forEach(channel => {
+    out[channel] = catmullRom(k0[channel], k1[channel], k2[channel], k3[channel], u);
+  });
+  return out;
+}
+
+// Parse and check an exported path; throws an Error describing the first problem
+export function parseCameraPath(text) {
+  const path = JSON.parse(text);
+
+  if (!path || path.version !== CAMERA_PATH_VERSION) {
+    throw new Error(`unsupported camera path version ${path && path.version}`);
+  }
+  if (!Array.isArray(path.startHistory) || path.startHistory.length === 0) {
+    throw new Error('camera path has no startHistory');
+  }
+  if (!Array.isArray(path.keyframes) || path.keyframes.length < 2) {
+    throw new Error('camera path needs at least two keyframes');
+  }
+
+  path.keyframes.forEach((keyframe, index) => {
+    const numbers = [keyframe.t, ...(keyframe.lookAt || []), ...SCALAR_CHANNELS.map(channel => keyframe[channel])];
+    if (!Array.isArray(keyframe.lookAt) || keyframe.lookAt.length !== 3 || !numbers.every(Number.isFinite)) {
+      throw new Error(`keyframe ${index} is malformed`);
+    }
+    if (index > 0 && keyframe.t < path.keyframes[index - 1].t) {
+      throw new Error(`keyframe ${index} is out of order`);
+    }
+  });
+
+  path.events = path.events || [];
+  path.events.forEach((event, index) => {
+    if (!Number.isFinite(event.t) || !EVENT_TYPES.includes(event.type)) {
+      throw new Error(`event ${index} is malformed`);
+    }
+  });
+
+  return path;
+}
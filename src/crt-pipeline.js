@@ -0,0 +1,270 @@
+// CRT Post-Processing
+// Optional replacement for the CSS #scanlines overlay:
+//   1. Selective phosphor bloom: only objects on the bloom layer glow, everything
+//      else is drawn black for that pass so it still occludes the glow.
+//   2. One CRT pass: barrel distortion, chromatic fringe, bloom mix, scanlines and
+//      a flicker pulse that gameplay can trigger (denied access, traps).
+// Quality 'off' means the caller keeps rendering directly with the CSS overlay.
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+
+export const CRT_QUALITY_LEVELS = ['off', 'low', 'medium', 'high'];
+
+export const CRT_QUALITY_PRESETS = {
+  off: null,
+  low: { bloom: false, barrel: 0.03, chromatic: 0 },
+  medium: { bloom: true, bloomScale: 0.25, bloomStrength: 1.1, bloomRadius: 0.3, barrel: 0.05, chromatic: 0.0015 },
+  high: { bloom: true, bloomScale: 0.5, bloomStrength: 1.3, bloomRadius: 0.45, barrel: 0.06, chromatic: 0.0025 }
+};
+
+// Fall back one level when frames take longer than this on average while animating
+const SLOW_FRAME_MS = 1000 / 24;
+const SLOW_FRAME_SAMPLES = 45;
+
+const CrtShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    tBloom: { value: null },
+    bloomMix: { value: 0 },
+    barrel: { value: 0 },
+    chromatic: { value: 0 },
+    scanlines: { value: 1 },
+    flicker: { value: 0 },
+    time: { value: 0 }
+  },
+
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tBloom;
+    uniform float bloomMix;
+    uniform float barrel;
+    uniform float chromatic;
+    uniform float scanlines;
+    uniform float flicker;
+    uniform float time;
+    varying vec2 vUv;
+
+    vec2 distort(vec2 uv) {
+      vec2 centered = uv * 2.0 - 1.0;
+      centered *= 1.0 + barrel * dot(centered, centered);
+      return centered * 0.5 + 0.5;
+    }
+
+    void main() {
+      vec2 uv = distort(vUv);
+      if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+      }
+
+      vec2 fringe = (uv - 0.5) * chromatic;
+      vec3 color = vec3(
+        texture2D(tDiffuse, uv + fringe).r,
+        texture2D(tDiffuse, uv).g,
+        texture2D(tDiffuse, uv - fringe).b
+      );
+      color += texture2D(tBloom, uv).rgb * bloomMix;
+
+      // Flicker: fast brightness wobble that decays with the pulse
+      color *= 1.0 - flicker * (0.35 + 0.35 * sin(time * 95.0));
+      color += flicker * 0.08;
+
+      // Every other device row is dimmed, like the CSS overlay it replaces
+      color *= 1.0 - scanlines * 0.08 * step(1.0, mod(gl_FragCoord.y, 2.0));
+
+      gl_FragColor = vec4(color, 1.0);
+    }
+  `
+};
+
+export function createCrtPipeline(renderer, scene, camera, { bloomLayer, quality = 'off', onFallback } = {}) {
+  const darkMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
+  const swapped = new Map();
+  const hidden = [];
+  const size = new THREE.Vector2();
+
+  let preset = null;
+  let qualityName = 'off';
+  let bloomComposer = null;
+  let bloomPass = null;
+  let finalComposer = null;
+  let crtPass = null;
+  let scanlines = true;
+  let pulseStart = 0;
+  let pulseDuration = 0;
+  let pulseStrength = 0;
+  let slowFrames = [];
+  let lastRenderTime = 0;
+
+  function build() {
+    renderer.getSize(size);
+    const pixelRatio = renderer.getPixelRatio();
+
+    if (preset.bloom) {
+      bloomComposer = new EffectComposer(renderer);
+      bloomComposer.renderToScreen = false;
+      bloomComposer.setPixelRatio(pixelRatio * preset.bloomScale);
+      bloomComposer.setSize(size.x, size.y);
+      bloomComposer.addPass(new RenderPass(scene, camera));
+      bloomPass = new UnrealBloomPass(size.clone().multiplyScalar(preset.bloomScale), preset.bloomStrength, preset.bloomRadius, 0);
+      bloomComposer.addPass(bloomPass);
+    }
+
+    finalComposer = new EffectComposer(renderer);
+    finalComposer.setPixelRatio(pixelRatio);
+    finalComposer.setSize(size.x, size.y);
+    finalComposer.addPass(new RenderPass(scene, camera));
+
+    crtPass = new ShaderPass(CrtShader);
+    crtPass.uniforms.tBloom.value = bloomComposer ? bloomComposer.renderTarget2.texture : null;
+    crtPass.uniforms.bloomMix.value = bloomComposer ? 1 : 0;
+    crtPass.uniforms.barrel.value = preset.barrel;
+    crtPass.uniforms.chromatic.value = preset.chromatic;
+    crtPass.uniforms.scanlines.value = scanlines ? 1 : 0;
+    finalComposer.addPass(crtPass);
+    finalComposer.addPass(new OutputPass());
+  }
+
+  function teardown() {
+    if (bloomComposer) {
+      bloomPass.dispose();
+      bloomComposer.dispose();
+    }
+    if (finalComposer) {
+      crtPass.material.dispose();
+      finalComposer.dispose();
+    }
+    bloomComposer = null;
+    bloomPass = null;
+    finalComposer = null;
+    crtPass = null;
+  }
+
+  function setQuality(name) {
+    if (!(name in CRT_QUALITY_PRESETS)) return;
+    teardown();
+    qualityName = name;
+    preset = CRT_QUALITY_PRESETS[name];
+    slowFrames = [];
+    if (preset) build();
+  }
+
+  // Draw non-glowing objects black (or not at all, if see-through or invisible,
+  // like the node hit boxes) for the bloom pass
+  function darkenNonBloom() {
+    scene.traverseVisible(object => {
+      if (object.layers.isEnabled(bloomLayer)) return;
+      if (object.isMesh && !object.material.transparent && object.material.visible !== false) {
+        swapped.set(object, object.material);
+        object.material = darkMaterial;
+      } else if (object.isMesh || object.isLine) {
+        hidden.push(object);
+      }
+    });
+    hidden.forEach(object => {
+      object.visible = false;
+    });
+  }
+
+  function restoreNonBloom() {
+    swapped.forEach((material, object) => {
+      object.material = material;
+    });
+    swapped.clear();
+    hidden.forEach(object => {
+      object.visible = true;
+    });
+    hidden.length = 0;
+  }
+
+  // Step down a quality level when frames stay slow while things are moving
+  function measure(now) {
+    if (lastRenderTime) {
+      slowFrames.push(now - lastRenderTime);
+      if (slowFrames.length >= SLOW_FRAME_SAMPLES) {
+        const average = slowFrames.reduce((sum, ms) => sum + ms, 0) / slowFrames.length;
+        slowFrames = [];
+        if (average > SLOW_FRAME_MS) {
+          const fallback = CRT_QUALITY_LEVELS[CRT_QUALITY_LEVELS.indexOf(qualityName) - 1];
+          console.warn(`[CRT] Average frame ${average.toFixed(1)}ms, falling back to "${fallback}"`);
+          setQuality(fallback);
+          if (onFallback) onFallback(fallback);
+        }
+      }
+    }
+  }
+
+  // Returns false when the caller should render directly instead
+  function render({ measureFrame = false } = {}) {
+    if (!preset) return false;
+
+    const now = performance.now();
+    if (measureFrame) {
+      measure(now);
+      if (!preset) return false;
+    } else {
+      slowFrames = [];
+    }
+    lastRenderTime = measureFrame ? now : 0;
+
+    if (bloomComposer) {
+      darkenNonBloom();
+      bloomComposer.render();
+      restoreNonBloom();
+    }
+
+    const pulseT = pulseDuration ? Math.min((now - pulseStart) / pulseDuration, 1) : 1;
+    crtPass.uniforms.flicker.value = pulseStrength * (1 - pulseT);
+    crtPass.uniforms.time.value = now / 1000;
+
+    finalComposer.render();
+    return true;
+  }
+
+  function setSize(width, height) {
+    if (bloomComposer) bloomComposer.setSize(width, height);
+    if (finalComposer) finalComposer.setSize(width, height);
+  }
+
+  function pulse(strength = 1, duration = 400) {
+    pulseStart = performance.now();
+    pulseDuration = duration;
+    pulseStrength = strength;
+  }
+
+  function isPulsing() {
+    return !!preset && performance.now() - pulseStart < pulseDuration;
+  }
+
+  function setScanlines(enabled) {
+    scanlines = enabled;
+    if (crtPass) crtPass.uniforms.scanlines.value = enabled ? 1 : 0;
+  }
+
+  setQuality(quality);
+
+  return {
+    render,
+    setSize,
+    setQuality,
+    pulse,
+    isPulsing,
+    setScanlines,
+    get quality() {
+      return qualityName;
+    }
+  };
+}
@@ -0,0 +1,160 @@
+// Folder Graph Validation
+// Checks folders.json against the puzzle and clue content files.
+// Used by scripts/validate-folders.js and at startup in dev builds.
+
+import { TRAP_EFFECT_NAMES } from './trap-effects.js';
+
+export function validateFolderGraph(graph, options = {}) {
+  const {
+    rootId = 'root_usr',
+    puzzles = {},
+    clues = {},
+    trapEffects = TRAP_EFFECT_NAMES
+  } = options;
+
+  const issues = [];
+  const report = (level, code, message, folderId = null, nodeId = null) => {
+    issues.push({ level, code, message, folderId, nodeId });
+  };
+
+  const folders = Object.entries(graph);
+
+  if (!graph[rootId]) {
+    report('error', 'missing-root', `root folder "${rootId}" does not exist`);
+    return issues;
+  }
+
+  // Folder keys and node ids must be unique, since meshes are looked up by id
+  const nodeOwners = new Map();
+  folders.forEach(([key, folder]) => {
+    if (folder.id !== key) {
+      report('error', 'id-mismatch', `folder key "${key}" does not match its id "${folder.id}"`, key);
+    }
+    (folder.nodes || []).forEach(node => {
+      if (nodeOwners.has(node.id)) {
+        report('error', 'duplicate-node', `node id "${node.id}" is also used in ${nodeOwners.get(node.id)}`, key, node.id);
+      } else {
+        nodeOwners.set(node.id, key);
+      }
+    });
+  });
+
+  // Per-node checks
+  folders.forEach(([folderId, folder]) => {
+    (folder.nodes || []).forEach(node => {
+      if (node.nextFolderId && !graph[node.nextFolderId]) {
+        report('error', 'dangling-link', `nextFolderId "${node.nextFolderId}" does not exist`, folderId, node.id);
+      }
+
+      if (node.type === 'folderGate' && node.enterable !== true) {
+        report('error', 'gate-not-enterable', 'folderGate nodes must have enterable: true', folderId, node.id);
+      }
+
+      if (node.type === 'terminal') {
+        if (!node.terminalId) {
+          report('error', 'missing-terminal-id', 'terminal has no terminalId', folderId, node.id);
+        } else if (!puzzles[node.terminalId]) {
+          report('error', 'unknown-puzzle', `terminalId "${node.terminalId}" has no matching puzzle`, folderId, node.id);
+        }
+      }
+
+      if (node.type === 'lore' && !node.loreText) {
+        report('warning', 'missing-lore', 'lore node has no loreText', folderId, node.id);
+      }
+
+      if (node.type === 'clue') {
+        if (!node.clueId) {
+          report('error', 'missing-clue-id', 'clue node has no clueId', folderId, node.id);
+        } else if (!clues[node.clueId]) {
+          report('error', 'unknown-clue', `clueId "${node.clueId}" has no clue document`, folderId, node.id);
+        }
+      }
+
+      if (node.type === 'trap' && !trapEffects.includes(node.trapEffect)) {
+        report('error', 'unknown-trap', `unknown trapEffect "${node.trapEffect}"`, folderId, node.id);
+      }
+
+      const targetFolderId = node.trapParams?.targetFolderId;
+      if (targetFolderId && !graph[targetFolderId]) {
+        report('error', 'dangling-trap-target', `trap targetFolderId "${targetFolderId}" does not exist`, folderId, node.id);
+      }
+    });
+  });
+
+  // Pinned nodes must sit inside their folder's grid, one node per cell
+  folders.forEach(([folderId, folder]) => {
+    const nodes = folder.nodes || [];
+    const { cols, rows } = getGridSize(nodes.length);
+    const taken = new Map();
+
+    nodes.forEach(node => {
+      if (node.gridCell === undefined) return;
+
+      const { row, col } = node.gridCell || {};
+      if (!Number.isInteger(row) || !Number.isInteger(col) || row < 0 || col < 0 || row >= rows || col >= cols) {
+        report('error', 'bad-grid-cell', `gridCell must be { row, col } inside the ${rows}x${cols} grid`, folderId, node.id);
+        return;
+      }
+
+      const key = `${row},${col}`;
+      if (taken.has(key)) {
+        report('error', 'duplicate-grid-cell', `gridCell ${key} is also pinned by "${taken.get(key)}"`, folderId, node.id);
+      } else {
+        taken.set(key, node.id);
+      }
+    });
+  });
+
+  // Puzzle clues must point at real nodes
+  Object.entries(puzzles).forEach(([puzzleId, puzzle]) => {
+    Object.entries(puzzle.clues || {}).forEach(([part, nodeId]) => {
+      if (!nodeOwners.has(nodeId)) {
+        report('error', 'unknown-clue-node', `puzzle "${puzzleId}" part ${part} points at missing node "${nodeId}"`);
+      }
+    });
+  });
+
+  // Breadth-first walk from the root gives reachability and the real depth of each folder
+  const graphDepth = { [rootId]: 0 };
+  const queue = [rootId];
+  let winReachable = false;
+
+  while (queue.length > 0) {
+    const folderId = queue.shift();
+    (graph[folderId].nodes || []).forEach(node => {
+      if (node.enterable && node.nextFolderId === null) {
+        winReachable = true;
+      }
+      if (node.nextFolderId && graph[node.nextFolderId] && graphDepth[node.nextFolderId] === undefined) {
+        graphDepth[node.nextFolderId] = graphDepth[folderId] + 1;
+        queue.push(node.nextFolderId);
+      }
+    });
+  }
+
+  folders.forEach(([folderId, folder]) => {
+    if (graphDepth[folderId] === undefined) {
+      report('warning', 'unreachable', `folder is not reachable from ${rootId}`, folderId);
+    } else if (folder.depth !== graphDepth[folderId]) {
+      report('warning', 'depth-mismatch', `declared depth ${folder.depth} but graph depth is ${graphDepth[folderId]}`, folderId);
+    }
+  });
+
+  if (!winReachable) {
+    report('error', 'no-win', `no win node (enterable with nextFolderId: null) is reachable from ${rootId}`);
+  }
+
+  return issues;
+}
+
+// Node grid of a folder platform, as close to square as possible (mirrors createPlatform)
+function getGridSize(nodeCount) {
+  const cols = Math.ceil(Math.sqrt(nodeCount));
+  const rows = Math.ceil(nodeCount / cols);
+  return { cols, rows };
+}
+
+export function formatIssue(issue) {
+  const where = [issue.folderId, issue.nodeId].filter(Boolean).join('/');
+  return `${issue.level.padEnd(7)} [${issue.code}] ${where ? where + ': ' : ''}${issue.message}`;
+}
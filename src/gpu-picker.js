@@ -0,0 +1,102 @@
+// GPU Color-ID Picking
+// Renders registered instanced hit meshes into a 1x1 target under the cursor,
+// each instance writing its own ID as a color, and reads that pixel back.
+// Cost stays the same however many nodes a folder has.
+//
+// Pixel encoding: R,G = instance index + 1 (little endian), B = mesh slot, 0 = nothing.
+
+import * as THREE from 'three';
+
+const MAX_SLOTS = 255;
+
+const PICK_VERTEX_SHADER = `
+uniform float pickSlot;
+flat varying vec4 vPickColor;
+
+void main() {
+  float id = float(gl_InstanceID) + 1.0;
+  vPickColor = vec4(mod(id, 256.0), floor(id / 256.0), pickSlot, 255.0) / 255.0;
+  gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+}
+`;
+
+const PICK_FRAGMENT_SHADER = `
+flat varying vec4 vPickColor;
+
+void main() {
+  gl_FragColor = vPickColor;
+}
+`;
+
+export function createGpuPicker(renderer) {
+  const target = new THREE.WebGLRenderTarget(1, 1);
+  const pickScene = new THREE.Scene();
+  const pixel = new Uint8Array(4);
+  const previousClearColor = new THREE.Color();
+  const slots = new Array(MAX_SLOTS + 1).fill(null); // slot -> { hitMesh, pickMesh }
+
+  // Mirror an InstancedMesh into the pick scene, sharing its geometry and matrices
+  function add(hitMesh) {
+    const slot = slots.indexOf(null, 1);
+    if (slot === -1) {
+      console.warn('[PICK] Out of pick slots, mesh will not be pickable');
+      return;
+    }
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: { pickSlot: { value: slot } },
+      vertexShader: PICK_VERTEX_SHADER,
+      fragmentShader: PICK_FRAGMENT_SHADER,
+      side: THREE.DoubleSide
+    });
+    const pickMesh = new THREE.InstancedMesh(hitMesh.geometry, material, hitMesh.count);
+    pickMesh.instanceMatrix = hitMesh.instanceMatrix;
+    pickMesh.frustumCulled = false;
+
+    pickScene.add(pickMesh);
+    slots[slot] = { hitMesh, pickMesh };
+  }
+
+  function remove(hitMesh) {
+    const slot = slots.findIndex(entry => entry && entry.hitMesh === hitMesh);
+    if (slot === -1) return;
+
+    const { pickMesh } = slots[slot];
+    pickScene.remove(pickMesh);
+    pickMesh.material.dispose();
+    slots[slot] = null;
+  }
+
+  // Returns { object, instanceId } like a raycast intersection, or null
+  function pick(camera, clientX, clientY, filter = () => true) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+    if (x < 0 || y < 0 || x >= rect.width || y >= rect.height) return null;
+
+    slots.forEach(entry => {
+      if (entry) entry.pickMesh.visible = entry.hitMesh.visible && filter(entry.hitMesh);
+    });
+
+    const previousAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(previousClearColor);
+    camera.setViewOffset(rect.width, rect.height, x, y, 1, 1);
+
+    renderer.setRenderTarget(target);
+    renderer.setClearColor(0x000000, 0);
+    renderer.clear();
+    renderer.render(pickScene, camera);
+    renderer.readRenderTargetPixels(target, 0, 0, 1, 1, pixel);
+
+    renderer.setRenderTarget(null);
+    renderer.setClearColor(previousClearColor, previousAlpha);
+    camera.clearViewOffset();
+
+    const id = pixel[0] + pixel[1] * 256;
+    const entry = slots[pixel[2]];
+    if (id === 0 || !entry) return null;
+    return { object: entry.hitMesh, instanceId: id - 1 };
+  }
+
+  return { add, remove, pick };
+}
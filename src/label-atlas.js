@@ -0,0 +1,147 @@
+// Label Atlas
+// Packs every text label into shared canvas pages instead of one canvas per label.
+// Text is drawn in white with a soft glow; the label material tints it, so one
+// slot serves every label with the same text and size regardless of color.
+// Slots are reference counted and reused once every label using them is released.
+//
+// Usage:
+//   const atlas = createLabelAtlas({ anisotropy });
+//   const slot = atlas.acquire('readme', 'node');
+//   slot.texture / slot.uv { u0, v0, u1, v1 } / slot.aspect
+//   atlas.release(slot);
+
+import * as THREE from 'three';
+
+export const ATLAS_PAGE_SIZE = 2048;
+
+// Row height in pixels per label size, with font size and glow tuned to match
+export const LABEL_SIZES = {
+  node: { height: 128, font: 'bold 48px "JpFont", monospace', blur: 20 },
+  floor: { height: 256, font: 'bold 108px "JpFont", monospace', blur: 6 }
+};
+
+// Empty pixels around each slot so mipmaps don't bleed neighbouring labels in
+const SLOT_PADDING = 8;
+const SLOT_ROUNDING = 32;
+
+export function createLabelAtlas({ anisotropy = 1 } = {}) {
+  const pages = [];
+  const slots = new Map(); // key -> slot
+  const measureCtx = document.createElement('canvas').getContext('2d');
+
+  function createPage() {
+    const canvas = document.createElement('canvas');
+    canvas.width = ATLAS_PAGE_SIZE;
+    canvas.height = ATLAS_PAGE_SIZE;
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.anisotropy = anisotropy;
+
+    const page = {
+      canvas,
+      ctx: canvas.getContext('2d'),
+      texture,
+      shelves: [], // { y, height, x }
+      nextShelfY: 0,
+      free: [] // released { x, y, width, height } rects
+    };
+    pages.push(page);
+    return page;
+  }
+
+  function measure(text, size) {
+    measureCtx.font = size.font;
+    const textWidth = measureCtx.measureText(text).width + size.blur * 2;
+    const width = Math.ceil(textWidth / SLOT_ROUNDING) * SLOT_ROUNDING + SLOT_PADDING * 2;
+    return Math.min(width, ATLAS_PAGE_SIZE);
+  }
+
+  // Reuse a released rect, then the end of a matching shelf, then a new shelf, then a new page
+  function allocate(width, height) {
+    for (const page of pages) {
+      const freeIndex = page.free.findIndex(rect => rect.height === height && rect.width >= width);
+      if (freeIndex !== -1) {
+        const rect = page.free.splice(freeIndex, 1)[0];
+        return { page, x: rect.x, y: rect.y, width: rect.width, height };
+      }
+
+      const shelf = page.shelves.find(s => s.height === height && s.x + width <= ATLAS_PAGE_SIZE);
+      if (shelf) {
+        const x = shelf.x;
+        shelf.x += width;
+        return { page, x, y: shelf.y, width, height };
+      }
+
+      if (page.nextShelfY + height <= ATLAS_PAGE_SIZE) {
+        const newShelf = { y: page.nextShelfY, height, x: width };
+        page.shelves.push(newShelf);
+        page.nextShelfY += height;
+        return { page, x: 0, y: newShelf.y, width, height };
+      }
+    }
+
+    createPage();
+    return allocate(width, height);
+  }
+
+  function draw(rect, text, size) {
+    const { ctx } = rect.page;
+    ctx.clearRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(rect.x + SLOT_PADDING, rect.y + SLOT_PADDING, rect.width - SLOT_PADDING * 2, rect.height - SLOT_PADDING * 2);
+    ctx.clip();
+    ctx.font = size.font;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#ffffff';
+    ctx.shadowColor = '#ffffff';
+    ctx.shadowBlur = size.blur;
+    ctx.fillText(text, rect.x + rect.width / 2, rect.y + rect.height / 2);
+    ctx.restore();
+    rect.page.texture.needsUpdate = true;
+  }
+
+  function acquire(text, sizeName) {
+    const key = `${sizeName}:${text}`;
+    const existing = slots.get(key);
+    if (existing) {
+      existing.refs++;
+      return existing;
+    }
+
+    const size = LABEL_SIZES[sizeName];
+    const rect = allocate(measure(text, size), size.height);
+    draw(rect, text, size);
+
+    // Canvas y runs down, texture v runs up
+    const slot = {
+      key,
+      rect,
+      refs: 1,
+      texture: rect.page.texture,
+      aspect: rect.width / rect.height,
+      uv: {
+        u0: rect.x / ATLAS_PAGE_SIZE,
+        u1: (rect.x + rect.width) / ATLAS_PAGE_SIZE,
+        v0: 1 - (rect.y + rect.height) / ATLAS_PAGE_SIZE,
+        v1: 1 - rect.y / ATLAS_PAGE_SIZE
+      }
+    };
+    slots.set(key, slot);
+    return slot;
+  }
+
+  function release(slot) {
+    slot.refs--;
+    if (slot.refs > 0) return;
+
+    const { page, x, y, width, height } = slot.rect;
+    page.ctx.clearRect(x, y, width, height);
+    page.texture.needsUpdate = true;
+    page.free.push({ x, y, width, height });
+    slots.delete(slot.key);
+  }
+
+  return { acquire, release, pages };
+}
@@ -1,14 +1,41 @@
 import * as THREE from 'three';
 import FOLDER_GRAPH from './folders.json' with { type: 'json' };
+import PUZZLE_DEFS from './puzzles.json' with { type: 'json' };
+import CLUE_TEXTS from './clues.json' with { type: 'json' };
 import { CAMERA_CONFIG } from './camera-config.js';
+import { applyStoredCameraProfile, createCameraConfigEditor, validateCameraConfig } from './camera-config-editor.js';
+import { validateFolderGraph, formatIssue } from './folder-validator.js';
+import { TRAP_EFFECT_NAMES } from './trap-effects.js';
+import { createMenubar } from './menubar.js';
+import { NODE_ICONS, DEFAULT_ICON, drawNodeIcon } from './node-icons.js';
+import { createLabelAtlas } from './label-atlas.js';
+import { createGpuPicker } from './gpu-picker.js';
+import { createCrtPipeline, CRT_QUALITY_LEVELS } from './crt-pipeline.js';
+import { THEMES, DEFAULT_THEME } from './themes.js';
+import { createRandom, hashSeed } from './random.js';
+import { createMinimap } from './minimap.js';
+import {
+  createCameraPath,
+  addKeyframe,
+  addEvent,
+  getPathDuration,
+  getEventsBetween,
+  sampleCameraPath,
+  parseCameraPath
+} from './camera-path.js';
+import { Line2 } from 'three/examples/jsm/lines/Line2.js';
+import { LineGeometry } from 'three/examples/jsm/lines/LineGeometry.js';
+import { LineMaterial } from 'three/examples/jsm/lines/LineMaterial.js';
 
 // ============================================
 // CONFIGURATION
 // ============================================
 const CONFIG = {
+  // Overwritten by the active theme, see themes.js
   colors: {
     background: 0x050607,
     horizonTop: 0x1f3f38,
+    floor: 0x08090a,
     gridPrimary: 0x00e0d6,
     gridAccent: 0x4fffe9,
     folderBase: 0xb45a55,
@@ -46,9 +73,58 @@ const CONFIG = {
     enterDuration: 900,
     fadeDuration: 350,
     denyShake: 120
+  },
+  // Render layer for node and folder labels, so View > Labels can hide them all at once
+  labelLayer: 1,
+  // Render layer for objects that glow in the CRT bloom pass
+  bloomLayer: 2,
+  // Optional post-processing, off by default for low-power kiosks; the choice from
+  // View > CRT Effects is remembered
+  crt: {
+    quality: 'off',
+    storageKey: 'jp3d.crtQuality'
+  },
+  themeStorageKey: 'jp3d.theme',
+  cameraProfilesKey: 'jp3d.cameraProfiles',
+  // Folder connection styles by edge state; width is in screen pixels
+  connections: {
+    visited: { colorKey: 'gridAccent', width: 3, opacity: 0.9 },
+    unexplored: { colorKey: 'gridPrimary', width: 2, opacity: 0.3 },
+    locked: { colorKey: 'deny', width: 2.5, opacity: 0.8, dashSize: 1.5, gapSize: 1 },
+    pulseRadius: 0.9
+  },
+  // Camera path recording, playback and authoring
+  cameraPath: {
+    sampleInterval: 0.1, // Seconds between recorded keyframes
+    authorStep: 2.5 // Seconds between keyframes placed in authoring mode
+  },
+  // Seed for node order, brightness jitter and effects; ?seed= in the URL overrides it
+  layoutSeed: 'isla-nublar',
+  // Platforms are built when they become reachable and disposed once out of view this long
+  residency: {
+    evictAfter: 30000,
+    sweepInterval: 5000
+  },
+  // Labels fade out between these camera distances
+  labels: {
+    node: { colorKey: 'gridPrimary', height: 3, opacity: 1, fadeStart: 45, fadeEnd: 110 },
+    floor: { colorKey: 'folderHighlight', height: 14, opacity: 0.85, fadeStart: 150, fadeEnd: 400 }
+  },
+  // Node picking: 'raycast' tests hit boxes on the CPU, 'gpu' reads back a color-ID pass
+  picking: {
+    mode: 'raycast'
+  },
+  // Full frame rate only while something is moving, otherwise a slow ambient tick
+  frames: {
+    ambientFps: 8,
+    wakeDuration: 600 // ms of full frame rate after input or requestRender()
   }
 };
 
+// Tuned camera profile from the HUD editor, applied before the state below reads it
+const CAMERA_DEFAULTS = applyStoredCameraProfile(CAMERA_CONFIG, CONFIG.cameraProfilesKey);
+validateCameraConfig(CAMERA_CONFIG).forEach(issue => console.warn('[CAMERA]', issue.message));
+
 // ============================================
 // GAME STATE
 // ============================================
@@ -64,11 +140,25 @@ const state = {
   // Navigation history: array of folder IDs from root to current
   navigationHistory: ['root_usr'],
 
+  // Browser-style back/forward stacks of previously visited folder IDs
+  backStack: [],
+  forwardStack: [],
+
   // Puzzle state tracking
   puzzlesSolved: {}, // { folderId: { puzzleId: true } }
 
+  // Lore files the player has opened
+  loreRead: {}, // { nodeId: true }
+
+  // Every folder the player has entered
+  visitedFolders: { root_usr: true }, // { folderId: true }
+
+  // Seeded layout: folder node order and cosmetics derive from this
+  layoutSeed: CONFIG.layoutSeed,
+  reshuffles: {}, // { folderId: times reshuffled by a trap }
+
   // Camera state
-  cameraMode: 'folder', // 'folder' | 'node'
+  cameraMode: 'folder', // 'folder' | 'node' | 'overview'
   targetLookAt: new THREE.Vector3(0, 0, 0), // What the camera is looking at
   targetDistance: CAMERA_CONFIG.folder.initialDistance, // Distance from lookAt target
   targetHeight: CAMERA_CONFIG.folder.initialHeight, // Height above lookAt target
@@ -77,7 +167,13 @@ const state = {
   currentHeight: CAMERA_CONFIG.folder.initialHeight,
   cameraYaw: 0, // Left/right rotation
   cameraPitch: 0, // Up/down rotation
-  isLooking: false, // Currently looking around with right mouse
+  isLooking: false, // Currently looking around (or orbiting, in overview) with right mouse
+  isPanning: false, // Currently panning with left mouse
+  orbitYaw: 0, // Overview orbit that cameraYaw/cameraPitch follow instead of recentering
+  orbitPitch: 0,
+  orbitVelocity: new THREE.Vector2(0, 0), // Overview inertia: yaw, pitch in radians per second
+  panVelocity: new THREE.Vector3(0, 0, 0), // Overview inertia: lookAt target units per second
+  controlsInverted: false, // Set by the invertControls trap
   isAnimating: false,
   isInitialLoad: true, // Track first load for camera distance
   lastFolderDistance: CAMERA_CONFIG.folder.maxDistance, // Remember folder zoom level for returning
@@ -87,20 +183,78 @@ const state = {
 // ============================================
 // THREE.JS SETUP
 // ============================================
-let scene, camera, renderer, raycaster, mouse;
+let scene, camera, renderer, raycaster;
 let nodeMeshes = new Map();
 let platformMeshes = new Map();
 let folderLabels = new Map();
 let folderInstances = new Map();
+let visibleFolders = new Set();
+let folderLastSeen = new Map(); // { folderId: ms timestamp it was last visible }
+let lastResidencySweep = 0;
 let connectionLines = null;
+let connectionMaterials = {}; // { edgeState: LineMaterial }, rebuilt with the lines
+let connectionPulse = null; // { mesh, curve, reverse, start, duration }
+let folderTransition = 0; // Bumped to cancel a running enterFolder animation
 let haloMesh = null;
 let clock;
 let raycastTargets = [];
+let menubar = null;
+let minimap = null;
+let labelAtlas = null;
+let gpuPicker = null;
+let crtPipeline = null;
+let currentTheme = DEFAULT_THEME;
+
+// A seed given in the URL wins over the one stored in a save
+const urlLayoutSeed = new URLSearchParams(window.location.search).get('seed');
+if (urlLayoutSeed) state.layoutSeed = urlLayoutSeed;
+
+// Camera shake and other transient effects
+let effectRandom = createRandom(`${state.layoutSeed}:effects`);
+
+// Scene materials and uniforms that follow the theme
+const themedWorld = {
+  floor: null,
+  grid: null,
+  scanline: null,
+  horizon: null,
+  hemisphere: null
+};
+
+// View menu toggles
+const viewOptions = {
+  labels: true,
+  debugHud: true,
+  scanlines: true,
+  connections: true
+};
 
 async function init() {
   // Wait for custom font to load before creating text textures
   await document.fonts.load('bold 72px "JpFont"');
 
+  // DEV: Report folder graph problems
+  if (import.meta.env.DEV) {
+    const issues = validateFolderGraph(FOLDER_GRAPH, {
+      puzzles: PUZZLE_DEFS,
+      clues: CLUE_TEXTS,
+      trapEffects: TRAP_EFFECT_NAMES
+    });
+    issues.forEach(issue => {
+      const log = issue.level === 'error' ? console.error : console.warn;
+      log('[VALIDATE]', formatIssue(issue));
+    });
+
+    // The shared name list and the implementations must match
+    const implemented = Object.keys(TRAP_EFFECTS);
+    if (implemented.length !== TRAP_EFFECT_NAMES.length || !implemented.every(name => TRAP_EFFECT_NAMES.includes(name))) {
+      console.error('[VALIDATE] TRAP_EFFECTS does not match TRAP_EFFECT_NAMES in trap-effects.js');
+    }
+  }
+
+  // Theme colors must be in CONFIG.colors before anything is built
+  applyTheme(readSetting(CONFIG.themeStorageKey) || DEFAULT_THEME);
+
   // Scene
   scene = new THREE.Scene();
   scene.background = new THREE.Color(CONFIG.colors.background);
@@ -126,6 +280,7 @@ async function init() {
   // Set camera position based on initial distance from folder
   camera.position.set(0, state.currentHeight, platformZ + state.currentDistance);
   camera.lookAt(state.currentLookAt);
+  camera.layers.enable(CONFIG.labelLayer);
 
   // Renderer
   const container = document.getElementById('canvas-container');
@@ -135,9 +290,27 @@ async function init() {
   renderer.shadowMap.enabled = false;
   container.appendChild(renderer.domElement);
 
+  labelAtlas = createLabelAtlas({ anisotropy: renderer.capabilities.getMaxAnisotropy() });
+
+  // WebGL1 devices keep the plain render and CSS scanlines
+  const crtQuality = renderer.capabilities.isWebGL2
+    ? (readSetting(CONFIG.crt.storageKey) || CONFIG.crt.quality)
+    : 'off';
+  crtPipeline = createCrtPipeline(renderer, scene, camera, {
+    bloomLayer: CONFIG.bloomLayer,
+    quality: crtQuality,
+    onFallback: quality => {
+      writeSetting(CONFIG.crt.storageKey, quality);
+      updateScanlineOverlay();
+    }
+  });
+  updateScanlineOverlay();
+
   // Raycaster
   raycaster = new THREE.Raycaster();
-  mouse = new THREE.Vector2();
+  if (CONFIG.picking.mode === 'gpu') {
+    gpuPicker = createGpuPicker(renderer);
+  }
   clock = new THREE.Clock();
 
   // Lighting
@@ -148,14 +321,12 @@ async function init() {
   createGrid();
   createHorizon();
 
-  // Build initial platforms and nodes
-  buildAllPlatforms();
-
   // Connection lines group
   connectionLines = new THREE.Group();
   scene.add(connectionLines);
 
   // Draw permanent folder connections
+  createConnectionPulse();
   drawFolderConnections();
 
   // Initialize folder view
@@ -168,12 +339,11 @@ async function init() {
   // Event listeners
   setupEventListeners();
 
-  // Hide loading
-  setTimeout(() => {
-    document.getElementById('loading').classList.add('hidden');
-  }, 1000);
+  // Offer New Game / Continue once the scene is ready
+  setTimeout(showLoadingMenu, 1000);
 
   // Animation loop
+  setupFrameScheduler();
   animate();
 }
 
@@ -188,8 +358,9 @@ function setupLighting() {
   scene.add(directional);
 
   // Hemisphere light with green tint
-  const hemisphere = new THREE.HemisphereLight(0x1f3f38, 0x050607, 0.3);
+  const hemisphere = new THREE.HemisphereLight(CONFIG.colors.horizonTop, CONFIG.colors.background, 0.3);
   scene.add(hemisphere);
+  themedWorld.hemisphere = hemisphere;
 }
 
 // ============================================
@@ -198,9 +369,10 @@ function setupLighting() {
 function createFloor() {
   const geometry = new THREE.PlaneGeometry(400, 400);
   const material = new THREE.MeshLambertMaterial({
-    color: 0x08090a,
+    color: CONFIG.colors.floor,
     side: THREE.DoubleSide
   });
+  themedWorld.floor = material;
   const floor = new THREE.Mesh(geometry, material);
   floor.rotation.x = -Math.PI / 2;
   floor.position.y = 0;
@@ -229,7 +401,9 @@ function createGrid() {
     opacity: 0.25
   });
 
+  themedWorld.grid = gridMaterial;
   const grid = new THREE.LineSegments(gridGeometry, gridMaterial);
+  grid.layers.enable(CONFIG.bloomLayer);
   gridGroup.add(grid);
 
   // Scanline band near camera
@@ -239,6 +413,7 @@ function createGrid() {
     transparent: true,
     opacity: 0.12
   });
+  themedWorld.scanline = scanlineMaterial;
   const scanline = new THREE.Mesh(scanlineGeometry, scanlineMaterial);
   scanline.rotation.x = -Math.PI / 2;
   scanline.position.set(0, 0.01, 15);
@@ -275,6 +450,7 @@ function createHorizon() {
     colorBottom: { value: new THREE.Color(CONFIG.colors.background) },
     colorTop: { value: new THREE.Color(CONFIG.colors.horizonTop) }
   };
+  themedWorld.horizon = uniforms;
 
   const geometry = new THREE.SphereGeometry(400, 32, 32, 0, Math.PI * 2, 0, Math.PI / 2);
   const material = new THREE.ShaderMaterial({
@@ -291,80 +467,194 @@ function createHorizon() {
 // ============================================
 // PLATFORM AND NODE BUILDING
 // ============================================
-function buildAllPlatforms() {
-  Object.values(FOLDER_GRAPH).forEach(folder => {
-    createPlatform(folder);
-    createNodes(folder);
+// Build a folder's platform, nodes and labels unless they already exist
+function buildFolder(folderId) {
+  if (platformMeshes.has(folderId)) return;
+
+  const folder = FOLDER_GRAPH[folderId];
+  createPlatform(folder);
+  createNodes(folder);
+}
+
+// The current folder, the folders on the history path and their direct children.
+// Anything else ages out through folderLastSeen.
+function getFoldersToShow() {
+  const foldersToShow = new Set([state.currentFolderId, ...state.navigationHistory]);
+
+  [...foldersToShow].forEach(folderId => {
+    const folder = FOLDER_GRAPH[folderId];
+    if (!folder) return;
+
+    (folder.nodes || []).forEach(node => {
+      if (node.nextFolderId && FOLDER_GRAPH[node.nextFolderId]) {
+        foldersToShow.add(node.nextFolderId);
+      }
+    });
+  });
+
+  return foldersToShow;
+}
+
+// Build newly visible folders and start the eviction clock on those that dropped out of view
+function updateFolderResidency(foldersToShow) {
+  const now = Date.now();
+  visibleFolders.forEach(folderId => folderLastSeen.set(folderId, now));
+  visibleFolders = new Set(foldersToShow);
+  visibleFolders.forEach(buildFolder);
+  evictStaleFolders(now);
+}
+
+function evictStaleFolders(now = Date.now()) {
+  lastResidencySweep = now;
+
+  [...platformMeshes.keys()].forEach(folderId => {
+    if (visibleFolders.has(folderId) || folderId === state.currentFolderId) return;
+    if (now - (folderLastSeen.get(folderId) || 0) < CONFIG.residency.evictAfter) return;
+
+    disposeFolder(folderId);
+    folderLastSeen.delete(folderId);
   });
 }
 
-// Calculate folder positions for visual branching layout
+// Calculate folder X positions as a tidy tree (Reingold-Tilford style):
+// every folder is centered over the children it links to, and sibling
+// subtrees are pushed apart only as far as their widest shared row needs.
+// Z still comes from each folder's depth.
 function calculateFolderPositions() {
-  const positions = {};
-  const folderWidths = {};
-  const depthFolders = {};
+  const edgeGap = 55; // Edge-to-edge gap between neighbouring platforms
 
-  // First pass: calculate each folder's platform width
+  // Platform width of each folder, as built by createPlatform
+  const folderWidths = {};
   Object.values(FOLDER_GRAPH).forEach(folder => {
-    const numNodes = folder.nodes.length;
-    const cols = Math.ceil(Math.sqrt(numNodes));
-    const nodeWidth = CONFIG.node.size.w;
-    const nodeDepth = CONFIG.node.size.d;
+    const cols = Math.ceil(Math.sqrt(folder.nodes.length));
     const gap = CONFIG.node.spacing;
-    const padding = gap * 2;
-
-    const gridWidth = cols * nodeWidth + (cols - 1) * gap;
-    const width = gridWidth + padding * 2;
+    const gridWidth = cols * CONFIG.node.size.w + (cols - 1) * gap;
     const scale = Math.pow(0.92, folder.depth);
-    folderWidths[folder.id] = width * scale;
+    folderWidths[folder.id] = (gridWidth + gap * 4) * scale;
   });
 
-  // Group folders by depth
-  Object.values(FOLDER_GRAPH).forEach(folder => {
-    if (!depthFolders[folder.depth]) {
-      depthFolders[folder.depth] = [];
+  // Spanning tree: a folder linked from several parents sits under the first
+  // one found breadth-first; its other incoming links just draw as curves
+  const children = {};
+  const placed = new Set();
+  const claimChildren = (startId) => {
+    placed.add(startId);
+    const queue = [startId];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      children[id] = [];
+      FOLDER_GRAPH[id].nodes.forEach(node => {
+        const childId = node.nextFolderId;
+        if (childId && FOLDER_GRAPH[childId] && !placed.has(childId)) {
+          placed.add(childId);
+          children[id].push(childId);
+          queue.push(childId);
+        }
+      });
     }
-    depthFolders[folder.depth].push(folder);
-  });
+  };
 
-  // Calculate X positions with 75 units edge-to-edge
-  const edgeGap = 55;
+  // Unreachable folders become extra trees to the right of the main one
+  const roots = ['root_usr'];
+  claimChildren('root_usr');
+  Object.values(FOLDER_GRAPH)
+    .sort((a, b) => a.depth - b.depth)
+    .forEach(folder => {
+      if (placed.has(folder.id)) return;
+      roots.push(folder.id);
+      claimChildren(folder.id);
+    });
 
-  Object.keys(depthFolders).forEach(depth => {
-    const folders = depthFolders[depth];
-    const count = folders.length;
+  const offsets = {}; // X relative to the parent (or to the first root)
+
+  // Place a row of sibling subtrees left to right, each as close as its contour allows.
+  // A contour maps depth -> { left, right } extent relative to the subtree's root.
+  const packSubtrees = (ids) => {
+    const merged = new Map();
+    const shifts = ids.map((id, index) => {
+      const contour = layoutSubtree(id);
+      let shift = index === 0 ? 0 : -Infinity;
+      contour.forEach(({ left }, depth) => {
+        const row = merged.get(depth);
+        if (row) shift = Math.max(shift, row.right + edgeGap - left);
+      });
+      if (shift === -Infinity) shift = 0;
 
-    // Calculate total width including gaps
-    let totalWidth = 0;
-    folders.forEach((folder, index) => {
-      totalWidth += folderWidths[folder.id];
-      if (index < count - 1) {
-        totalWidth += edgeGap;
-      }
+      contour.forEach(({ left, right }, depth) => {
+        const row = merged.get(depth);
+        merged.set(depth, {
+          left: row ? Math.min(row.left, left + shift) : left + shift,
+          right: row ? Math.max(row.right, right + shift) : right + shift
+        });
+      });
+      return shift;
     });
+    return { shifts, merged };
+  };
 
-    // Position folders
-    let startX;
-    if (depth === '1') {
-      // Depth 1 folders start from left edge
-      startX = -300;
-    } else {
-      // Other depths centered around x=0
-      startX = -totalWidth / 2;
-    }
+  const layoutSubtree = (id) => {
+    const folder = FOLDER_GRAPH[id];
+    const halfWidth = folderWidths[id] / 2;
+    const contour = new Map([[folder.depth, { left: -halfWidth, right: halfWidth }]]);
+    if (children[id].length === 0) return contour;
+
+    const { shifts, merged } = packSubtrees(children[id]);
+    const center = (shifts[0] + shifts[shifts.length - 1]) / 2;
+    children[id].forEach((childId, index) => {
+      offsets[childId] = shifts[index] - center;
+    });
 
-    let currentX = startX;
-    folders.forEach((folder, index) => {
-      const halfWidth = folderWidths[folder.id] / 2;
-      positions[folder.id] = currentX + halfWidth;
-      currentX += folderWidths[folder.id] + edgeGap;
+    merged.forEach(({ left, right }, depth) => {
+      const row = contour.get(depth);
+      contour.set(depth, {
+        left: Math.min(row ? row.left : Infinity, left - center),
+        right: Math.max(row ? row.right : -Infinity, right - center)
+      });
     });
+    return contour;
+  };
+
+  const { shifts } = packSubtrees(roots);
+  roots.forEach((id, index) => {
+    offsets[id] = shifts[index];
   });
 
+  // Resolve relative offsets top-down; the root folder stays at x = 0
+  const positions = {};
+  const resolve = (id, parentX) => {
+    positions[id] = parentX + offsets[id];
+    children[id].forEach(childId => resolve(childId, positions[id]));
+  };
+  roots.forEach(id => resolve(id, 0));
+
   return positions;
 }
 
-const FOLDER_POSITIONS = calculateFolderPositions();
+let folderPositions = calculateFolderPositions();
+
+// Recompute the layout after folders.json changes and rebuild whatever is on screen
+function relayoutFolders() {
+  folderPositions = calculateFolderPositions();
+  [...platformMeshes.keys()].forEach(disposeFolder);
+  state.hoveredNodeId = null;
+  haloMesh.material.opacity = 0;
+  showCurrentFolder();
+}
+
+// Dev server: edits to folders.json relayout in place instead of reloading the page
+if (import.meta.hot) {
+  import.meta.hot.accept('./folders.json', updated => {
+    if (!updated) return;
+    Object.keys(FOLDER_GRAPH).forEach(id => delete FOLDER_GRAPH[id]);
+    Object.assign(FOLDER_GRAPH, updated.default);
+    if (!state.navigationHistory.every(id => FOLDER_GRAPH[id])) {
+      import.meta.hot.invalidate();
+      return;
+    }
+    console.log('[DEV] folders.json changed, relaying out folders');
+    relayoutFolders();
+  });
+}
 
 function createPlatform(folder) {
   const nodes = folder.nodes;
@@ -397,7 +687,7 @@ function createPlatform(folder) {
   const zPos = CONFIG.depth.startZ - (depthIndex * CONFIG.depth.step);
 
   // Get pre-calculated X position for this folder
-  const xPos = FOLDER_POSITIONS[folder.id] || 0;
+  const xPos = folderPositions[folder.id] || 0;
 
   const geometry = new THREE.BoxGeometry(finalWidth, CONFIG.platform.height, finalDepth);
   const material = new THREE.MeshLambertMaterial({
@@ -418,67 +708,138 @@ function createPlatform(folder) {
 }
 
 function createFloorLabel(folder, xPos, zPos, platformDepth) {
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-  canvas.width = 2048;
-  canvas.height = 512;
+  const displayName = folder.name.replace(/^\//, '').toLowerCase();
+  const plane = createLabelMesh(displayName, 'floor');
+  plane.position.set(xPos, 0.05, zPos + platformDepth / 2 + 1.5);
+  plane.userData.folderId = folder.id;
+
+  scene.add(plane);
+  folderLabels.set(folder.id, plane);
+}
 
-  ctx.fillStyle = 'transparent';
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
+// Flat quad showing a slot of the shared label atlas, lying on the floor
+function createLabelMesh(text, sizeName) {
+  const style = CONFIG.labels[sizeName];
+  const slot = labelAtlas.acquire(text, sizeName);
+  const { u0, v0, u1, v1 } = slot.uv;
 
-  const displayName = folder.name.replace(/^\//, '').toLowerCase();
+  const geometry = new THREE.PlaneGeometry(style.height * slot.aspect, style.height);
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute([u0, v1, u1, v1, u0, v0, u1, v0], 2));
 
-  ctx.font = 'bold 216px "JpFont", monospace';
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.fillStyle = '#c96b63';
-  ctx.shadowColor = '#c96b63';
-  ctx.shadowBlur = 12;
-  ctx.fillText(displayName, canvas.width / 2, canvas.height / 2);
-
-  const texture = new THREE.CanvasTexture(canvas);
-  texture.needsUpdate = true;
-  texture.minFilter = THREE.LinearFilter;
-  texture.magFilter = THREE.LinearFilter;
-
-  const planeGeometry = new THREE.PlaneGeometry(56, 14);
-  const planeMaterial = new THREE.MeshBasicMaterial({
-    map: texture,
+  const material = new THREE.MeshBasicMaterial({
+    map: slot.texture,
+    color: CONFIG.colors[style.colorKey],
     transparent: true,
-    opacity: 0.85,
+    opacity: style.opacity,
     side: THREE.DoubleSide,
     depthWrite: false
   });
 
-  const plane = new THREE.Mesh(planeGeometry, planeMaterial);
-  plane.position.set(xPos, 0.05, zPos + platformDepth / 2 + 1.5);
+  const label = new THREE.Mesh(geometry, material);
+  label.rotation.x = -Math.PI / 2;
+  label.userData = { atlasSlot: slot, baseOpacity: style.opacity, fade: style };
+  label.layers.set(CONFIG.labelLayer);
+  return label;
+}
 
-  // Lay flat on the floor
-  plane.rotation.x = -Math.PI / 2;
+function disposeLabel(label) {
+  scene.remove(label);
+  label.geometry.dispose();
+  label.material.dispose();
+  labelAtlas.release(label.userData.atlasSlot);
+}
 
-  scene.add(plane);
-  folderLabels.set(folder.id, plane);
+// Fade labels toward transparent as the camera moves away from them
+function updateLabelFade() {
+  const fadeLabel = label => {
+    if (!label.visible) return;
+    const { fade, baseOpacity } = label.userData;
+    const distance = camera.position.distanceTo(label.position);
+    const t = THREE.MathUtils.smoothstep(distance, fade.fadeStart, fade.fadeEnd);
+    label.material.opacity = baseOpacity * (1 - t);
+  };
+
+  folderLabels.forEach(fadeLabel);
+  nodeMeshes.forEach(({ label }) => {
+    if (label) fadeLabel(label);
+  });
 }
 
 // Fisher-Yates shuffle algorithm
-function shuffleArray(array) {
+function shuffleArray(array, random) {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
   return array;
 }
 
+// Node geometry and materials shared by every folder's instanced meshes
+const nodeResources = {
+  geometry: null,
+  material: null,
+  hitGeometry: null,
+  hitMaterial: null
+};
+
+const instanceDummy = new THREE.Object3D();
+
+// Lambert material that reads its emissive strength from a per-instance attribute,
+// so each node can glow independently while sharing one draw call per folder
+function createNodeMaterial() {
+  const material = new THREE.MeshLambertMaterial({ color: 0xffffff, emissive: 0xffffff });
+  material.onBeforeCompile = shader => {
+    shader.vertexShader = 'attribute float instanceEmissive;\nvarying float vInstanceEmissive;\n' +
+      shader.vertexShader.replace('#include <begin_vertex>', '#include <begin_vertex>\n  vInstanceEmissive = instanceEmissive;');
+    shader.fragmentShader = 'varying float vInstanceEmissive;\n' +
+      shader.fragmentShader.replace('#include <emissivemap_fragment>', '#include <emissivemap_fragment>\n  totalEmissiveRadiance = vColor * vInstanceEmissive;');
+  };
+  return material;
+}
+
+function getNodeResources() {
+  if (!nodeResources.geometry) {
+    nodeResources.geometry = new THREE.BoxGeometry(CONFIG.node.size.w, CONFIG.node.size.h, CONFIG.node.size.d);
+    nodeResources.material = createNodeMaterial();
+    // Hit target (invisible, slightly larger but shallower to avoid label interference)
+    nodeResources.hitGeometry = new THREE.BoxGeometry(CONFIG.node.size.w * 1.5, CONFIG.node.size.h * 2, CONFIG.node.size.d);
+    nodeResources.hitMaterial = new THREE.MeshBasicMaterial({
+      visible: false,
+      side: THREE.DoubleSide
+    });
+  }
+  return nodeResources;
+}
+
 function createNodes(folder) {
   const depthIndex = folder.depth;
   const platform = platformMeshes.get(folder.id);
   const { cols, rows, scale, gap, zPos, branchOffset } = platform.userData;
+  const resources = getNodeResources();
 
   // Calculate platform top Y
   const platformTopY = CONFIG.platform.height / 2 + CONFIG.node.size.h / 2 + 0.1;
 
-  // Shuffle nodes for random order (create a copy to avoid modifying original)
-  const nodes = shuffleArray([...folder.nodes]);
+  const random = getFolderRandom(folder);
+
+  // Pinned nodes keep their gridCell, the rest fill the free cells in seeded random order
+  const cells = new Array(cols * rows).fill(null);
+  folder.nodes.forEach(node => {
+    if (!node.gridCell) return;
+    const { row, col } = node.gridCell;
+    const inGrid = Number.isInteger(row) && Number.isInteger(col) && row >= 0 && col >= 0 && row < rows && col < cols;
+    const cell = row * cols + col;
+    if (inGrid && !cells[cell]) {
+      cells[cell] = node;
+    } else {
+      console.warn(`[LAYOUT] Ignoring gridCell of ${node.id}, cell is outside the grid or taken`);
+    }
+  });
+  const looseNodes = shuffleArray(folder.nodes.filter(node => !cells.includes(node)), random);
+  for (let cell = 0; cell < cells.length && looseNodes.length > 0; cell++) {
+    if (!cells[cell]) cells[cell] = looseNodes.shift();
+  }
+  const nodes = cells.filter(Boolean);
   const nodeWidth = CONFIG.node.size.w * scale;
   const nodeDepth = CONFIG.node.size.d * scale;
   const actualGap = gap * scale;
@@ -495,112 +856,227 @@ function createNodes(folder) {
   const spacingX = nodeWidth + actualGap;
   const spacingZ = nodeDepth + actualGap;
 
+  // One instanced mesh for the node bodies, one for hit targets, one per icon type
+  const geometry = resources.geometry.clone();
+  geometry.setAttribute('instanceEmissive', new THREE.InstancedBufferAttribute(new Float32Array(nodes.length).fill(0.1), 1));
+  const bodyMesh = new THREE.InstancedMesh(geometry, resources.material, nodes.length);
+  const hitMesh = new THREE.InstancedMesh(resources.hitGeometry, resources.hitMaterial, nodes.length);
+  bodyMesh.userData = { folderId: folder.id, nodeIds: [] };
+  hitMesh.userData = bodyMesh.userData;
+
+  const iconCounts = {};
+  nodes.forEach(node => {
+    const key = getIconKey(node.icon);
+    iconCounts[key] = (iconCounts[key] || 0) + 1;
+  });
+  const iconMeshes = new Map();
+  Object.entries(iconCounts).forEach(([key, count]) => {
+    const iconMesh = new THREE.InstancedMesh(getIconGeometry(), getIconMaterial(key), count);
+    iconMesh.userData = { nodeIds: [] };
+    iconMeshes.set(key, iconMesh);
+  });
+
   nodes.forEach((node, index) => {
-    const col = index % cols;
-    const row = Math.floor(index / cols);
+    const cell = cells.indexOf(node);
+    const col = cell % cols;
+    const row = Math.floor(cell / cols);
 
     // Calculate position (add platform Z position and branch offset to place nodes correctly in world)
     const x = branchOffset + startX + col * spacingX;
     const z = zPos + startZLocal + row * spacingZ;
     const y = platformTopY;
 
-    // Create node mesh
-    const geometry = new THREE.BoxGeometry(
-      nodeWidth * (node.hintLevel ? 1.1 : 1),
-      CONFIG.node.size.h,
-      nodeDepth
-    );
-
     // Vary color slightly
-    const brightnessVar = 0.92 + Math.random() * 0.16;
+    const brightnessVar = 0.92 + random() * 0.16;
     const nodeColor = new THREE.Color(CONFIG.colors.nodeBase);
     nodeColor.multiplyScalar(brightnessVar);
+    bodyMesh.setColorAt(index, nodeColor);
 
-    const material = new THREE.MeshLambertMaterial({
-      color: nodeColor,
-      emissive: nodeColor,
-      emissiveIntensity: 0.1
-    });
-
-    const mesh = new THREE.Mesh(geometry, material);
+    // Transform proxy - position/scale are written to the instance matrices each frame
+    const mesh = new THREE.Object3D();
     mesh.position.set(x, y, z);
-    mesh.userData = { nodeId: node.id, folderId: folder.id, nodeData: node };
+    mesh.userData = { nodeId: node.id, folderId: folder.id, nodeData: node, gridRow: row, gridCol: col };
 
-    // Add icon detail on top
-    addNodeIcon(mesh, node.icon);
+    instanceDummy.position.copy(mesh.position);
+    instanceDummy.rotation.set(0, 0, 0);
+    instanceDummy.scale.set(1, 1, 1);
+    instanceDummy.updateMatrix();
+    hitMesh.setMatrixAt(index, instanceDummy.matrix);
+    bodyMesh.userData.nodeIds[index] = node.id;
 
-    // Create hit target (invisible, slightly larger but shallower to avoid label interference)
-    const hitGeometry = new THREE.BoxGeometry(CONFIG.node.size.w * 1.5, CONFIG.node.size.h * 2, CONFIG.node.size.d);
-    const hitMaterial = new THREE.MeshBasicMaterial({
-      visible: false,
-      side: THREE.DoubleSide
-    });
-    const hitMesh = new THREE.Mesh(hitGeometry, hitMaterial);
-    hitMesh.position.copy(mesh.position);
-    hitMesh.userData = { nodeId: node.id, folderId: folder.id, nodeData: node };
-    raycastTargets.push(hitMesh);
-    scene.add(hitMesh);
+    const iconMesh = iconMeshes.get(getIconKey(node.icon));
+    const iconIndex = iconMesh.userData.nodeIds.push(node.id) - 1;
 
     // Store reference
-    mesh.userData.hitTarget = hitMesh;
-    scene.add(mesh);
-    nodeMeshes.set(node.id, { mesh, material, folderId: folder.id });
+    nodeMeshes.set(node.id, {
+      mesh,
+      folderId: folder.id,
+      index,
+      iconMesh,
+      iconIndex,
+      baseColor: nodeColor,
+      brightness: brightnessVar,
+      baseScale: new THREE.Vector3(scale * (node.hintLevel ? 1.1 : 1), 1, scale)
+    });
 
     // Add label
     createNodeLabel(node, mesh.position);
   });
+
+  scene.add(bodyMesh);
+  scene.add(hitMesh);
+  if (gpuPicker) gpuPicker.add(hitMesh);
+  iconMeshes.forEach(iconMesh => scene.add(iconMesh));
+
+  const batch = { bodyMesh, hitMesh, iconMeshes, nodeIds: bodyMesh.userData.nodeIds };
+  folderInstances.set(folder.id, batch);
+  syncFolderInstances(batch);
 }
 
-function addNodeIcon(mesh, iconType) {
-  const iconGeometry = new THREE.PlaneGeometry(1.5, 1.5);
-  const iconMaterial = new THREE.MeshBasicMaterial({
-    color: CONFIG.colors.gridAccent,
-    transparent: true,
-    opacity: 0.7,
-    side: THREE.DoubleSide
+// Per-folder generator: a folder's own layoutSeed, else the game seed plus folder id.
+// Each reshuffle trap advances it so the rebuilt platform gets a new order.
+function getFolderRandom(folder) {
+  const seed = folder.layoutSeed !== undefined ? String(folder.layoutSeed) : `${state.layoutSeed}:${folder.id}`;
+  const reshuffles = state.reshuffles[folder.id] || 0;
+  return createRandom(reshuffles ? `${seed}:${reshuffles}` : seed);
+}
+
+// Switch the layout seed; folders built with another seed or reshuffled are rebuilt
+function resetLayout(seed = state.layoutSeed) {
+  const changed = seed !== state.layoutSeed || Object.keys(state.reshuffles).length > 0;
+  state.layoutSeed = seed;
+  state.reshuffles = {};
+  effectRandom = createRandom(`${seed}:effects`);
+
+  if (changed) {
+    [...platformMeshes.keys()].forEach(disposeFolder);
+    state.hoveredNodeId = null;
+    haloMesh.material.opacity = 0;
+  }
+}
+
+// Write each node's transform proxy into its folder's instance matrices
+function syncFolderInstances(batch) {
+  const iconY = CONFIG.node.size.h / 2 + 0.01;
+
+  batch.nodeIds.forEach(nodeId => {
+    const { mesh, index, iconMesh, iconIndex, baseScale } = nodeMeshes.get(nodeId);
+
+    instanceDummy.position.copy(mesh.position);
+    instanceDummy.rotation.set(0, 0, 0);
+    instanceDummy.scale.copy(baseScale).multiply(mesh.scale);
+    instanceDummy.updateMatrix();
+    batch.bodyMesh.setMatrixAt(index, instanceDummy.matrix);
+
+    // Icon lies flat on top of the node and follows its hover scale
+    instanceDummy.position.y += iconY;
+    instanceDummy.rotation.set(-Math.PI / 2, 0, 0);
+    instanceDummy.scale.set(mesh.scale.x, mesh.scale.z, 1);
+    instanceDummy.updateMatrix();
+    iconMesh.setMatrixAt(iconIndex, instanceDummy.matrix);
   });
 
-  const icon = new THREE.Mesh(iconGeometry, iconMaterial);
-  icon.rotation.x = -Math.PI / 2;
-  icon.position.y = CONFIG.node.size.h / 2 + 0.01;
-  mesh.add(icon);
+  batch.bodyMesh.instanceMatrix.needsUpdate = true;
+  batch.iconMeshes.forEach(iconMesh => {
+    iconMesh.instanceMatrix.needsUpdate = true;
+  });
 }
 
-function createNodeLabel(node, position) {
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-  canvas.width = 256;
-  canvas.height = 64;
-
-  ctx.fillStyle = 'transparent';
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-  ctx.font = 'bold 24px "JpFont", monospace';
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.fillStyle = '#00e0d6';
-  ctx.shadowColor = '#00e0d6';
-  ctx.shadowBlur = 10;
-  ctx.fillText(node.label.toLowerCase(), canvas.width / 2, canvas.height / 2);
-
-  const texture = new THREE.CanvasTexture(canvas);
-  texture.needsUpdate = true;
-
-  const planeGeometry = new THREE.PlaneGeometry(12, 3);
-  const planeMaterial = new THREE.MeshBasicMaterial({
-    map: texture,
-    transparent: true,
-    opacity: 1,
-    side: THREE.DoubleSide,
-    depthWrite: false
+function setFolderInstancesVisible(folderId, visible) {
+  const batch = folderInstances.get(folderId);
+  if (!batch) return;
+
+  batch.bodyMesh.visible = visible;
+  batch.hitMesh.visible = visible;
+  batch.iconMeshes.forEach(iconMesh => {
+    iconMesh.visible = visible;
+  });
+}
+
+// Hit targets of every visible folder
+function rebuildRaycastTargets() {
+  raycastTargets = [];
+  folderInstances.forEach(batch => {
+    if (batch.hitMesh.visible) {
+      raycastTargets.push(batch.hitMesh);
+    }
+  });
+  invalidatePick();
+}
+
+// Map a raycast hit on an instanced hit mesh back to its node
+function getIntersectedNode(intersect) {
+  if (!intersect || intersect.instanceId === undefined) return null;
+  const { nodeIds, folderId } = intersect.object.userData;
+  return { nodeId: nodeIds[intersect.instanceId], folderId };
+}
+
+function setNodeEmissive(nodeId, intensity) {
+  const entry = nodeMeshes.get(nodeId);
+  if (!entry) return;
+
+  const attribute = folderInstances.get(entry.folderId).bodyMesh.geometry.getAttribute('instanceEmissive');
+  attribute.setX(entry.index, intensity);
+  attribute.needsUpdate = true;
+}
+
+function resetNodeEmissive() {
+  folderInstances.forEach(batch => {
+    const attribute = batch.bodyMesh.geometry.getAttribute('instanceEmissive');
+    attribute.array.fill(0.1);
+    attribute.needsUpdate = true;
   });
+}
+
+function setNodeColor(nodeId, color) {
+  const entry = nodeMeshes.get(nodeId);
+  if (!entry) return;
+
+  const bodyMesh = folderInstances.get(entry.folderId).bodyMesh;
+  bodyMesh.setColorAt(entry.index, color);
+  bodyMesh.instanceColor.needsUpdate = true;
+}
+
+// Icon geometry and one material per icon type, shared by every node
+const iconResources = {
+  geometry: null,
+  materials: new Map()
+};
+
+function getIconKey(iconType) {
+  return NODE_ICONS[iconType] ? iconType : DEFAULT_ICON;
+}
+
+function getIconGeometry() {
+  if (!iconResources.geometry) {
+    iconResources.geometry = new THREE.PlaneGeometry(2.4, 2.4);
+  }
+  return iconResources.geometry;
+}
+
+function getIconMaterial(iconType) {
+  const key = getIconKey(iconType);
+  if (!iconResources.materials.has(key)) {
+    const texture = new THREE.CanvasTexture(drawNodeIcon(key));
+    const material = new THREE.MeshBasicMaterial({
+      map: texture,
+      color: CONFIG.colors.gridAccent,
+      transparent: true,
+      opacity: 0.85,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    iconResources.materials.set(key, material);
+  }
+  return iconResources.materials.get(key);
+}
 
-  const label = new THREE.Mesh(planeGeometry, planeMaterial);
+function createNodeLabel(node, position) {
+  const label = createLabelMesh(node.label.toLowerCase(), 'node');
   label.position.copy(position);
   label.position.z += CONFIG.node.size.d / 2 + 1;
-  label.rotation.x = -Math.PI / 2;
+  label.userData.nodeId = node.id;
 
-  label.userData = { nodeId: node.id, baseOpacity: 0 };
   scene.add(label);
   nodeMeshes.get(node.id).label = label;
 }
@@ -624,9 +1100,8 @@ function createHalo() {
 // Draw permanent bezier curves between connected folders
 function drawFolderConnections() {
   // Clear existing
-  while (connectionLines.children.length > 0) {
-    connectionLines.remove(connectionLines.children[0]);
-  }
+  clearConnectionLines();
+  connectionMaterials = createConnectionMaterials();
 
   // Calculate entry/exit points for each folder
   const folderPoints = {};
@@ -682,29 +1157,110 @@ function drawFolderConnections() {
         const curve = new THREE.CubicBezierCurve3(p0, p1, p2, p3);
         const points = curve.getPoints(30);
 
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        const material = new THREE.LineBasicMaterial({
-          color: CONFIG.colors.gridAccent,
-          transparent: true,
-          opacity: 0.8
-        });
+        // Fat line so edges stay readable from the far end of the park
+        const geometry = new LineGeometry();
+        geometry.setPositions(points.flatMap(point => [point.x, point.y, point.z]));
 
-        const line = new THREE.Line(geometry, material);
+        const edge = { fromId: folder.id, toId: node.nextFolderId, node };
+        const line = new Line2(geometry, connectionMaterials[getEdgeState(edge)]);
+        line.computeLineDistances();
+        line.userData = { ...edge, curve };
         connectionLines.add(line);
       }
     });
   });
 }
 
-// Only update visibility - don't redraw
-function updateConnectionVisibility() {
-  const depthIndex = FOLDER_GRAPH[state.currentFolderId].depth;
+// Locked behind an unsolved terminal, already travelled, or not yet explored
+function getEdgeState({ fromId, toId, node }) {
+  if (node.type === 'terminal' && !isPuzzleSolved(fromId, getPuzzleId(node))) return 'locked';
+  if (state.visitedFolders[fromId] && state.visitedFolders[toId]) return 'visited';
+  return 'unexplored';
+}
+
+function createConnectionMaterials() {
+  const size = renderer.getSize(new THREE.Vector2());
+
+  return Object.fromEntries(['visited', 'unexplored', 'locked'].map(edgeState => {
+    const style = CONFIG.connections[edgeState];
+    const material = new LineMaterial({
+      color: CONFIG.colors[style.colorKey],
+      linewidth: style.width,
+      transparent: true,
+      opacity: style.opacity,
+      depthWrite: false,
+      dashed: !!style.dashSize,
+      dashSize: style.dashSize || 1,
+      gapSize: style.gapSize || 1
+    });
+    material.resolution.copy(size);
+    return [edgeState, material];
+  }));
+}
 
+function clearConnectionLines() {
+  while (connectionLines.children.length > 0) {
+    const line = connectionLines.children[0];
+    connectionLines.remove(line);
+    line.geometry.dispose();
+  }
+  Object.values(connectionMaterials).forEach(material => material.dispose());
+  connectionMaterials = {};
+}
+
+// Restyle lines after puzzles or visits change, without rebuilding them
+function updateConnectionVisibility() {
   connectionLines.children.forEach(line => {
-    // Check if both folders are visible
-    // Lines are at floor level, so just show them
+    line.material = connectionMaterials[getEdgeState(line.userData)];
     line.visible = true;
   });
+  requestRender();
+}
+
+// Bright packet that runs along an edge toward the folder being entered
+function createConnectionPulse() {
+  const geometry = new THREE.SphereGeometry(CONFIG.connections.pulseRadius, 12, 8);
+  const material = new THREE.MeshBasicMaterial({
+    color: CONFIG.colors.selection,
+    transparent: true,
+    opacity: 0.9,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false
+  });
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.visible = false;
+  scene.add(mesh);
+  connectionPulse = { mesh, curve: null, reverse: false, start: 0, duration: 0 };
+}
+
+function startConnectionPulse(fromId, toId, duration) {
+  const forward = connectionLines.children.find(line => line.userData.fromId === fromId && line.userData.toId === toId);
+  const backward = forward ? null : connectionLines.children.find(line => line.userData.fromId === toId && line.userData.toId === fromId);
+  const line = forward || backward;
+  if (!line) return;
+
+  connectionPulse.curve = line.userData.curve;
+  connectionPulse.reverse = !forward;
+  connectionPulse.start = performance.now();
+  connectionPulse.duration = duration;
+  connectionPulse.mesh.material.color.setHex(CONFIG.colors.selection);
+}
+
+// Returns true while a pulse is still travelling
+function updateConnectionPulse() {
+  if (!connectionPulse.curve) return false;
+
+  const t = (performance.now() - connectionPulse.start) / connectionPulse.duration;
+  if (t >= 1) {
+    connectionPulse.curve = null;
+    connectionPulse.mesh.visible = false;
+    return false;
+  }
+
+  const eased = easeInOutCubic(t);
+  connectionPulse.mesh.visible = viewOptions.connections;
+  connectionPulse.curve.getPointAt(connectionPulse.reverse ? 1 - eased : eased, connectionPulse.mesh.position);
+  return true;
 }
 
 function showCurrentFolder() {
@@ -718,33 +1274,13 @@ function showCurrentFolder() {
   // Set camera to look at this folder
   setCameraToFolder(state.currentFolderId, true);
 
-  // Redraw folder connections for visible folders
-  drawFolderConnections();
-
   // Build set of folders to always show: current folder + all in navigation history + all reachable folders
-  const foldersToShow = new Set();
-
-  // Add all folders in navigation history
-  state.navigationHistory.forEach(id => foldersToShow.add(id));
-
-  // Find all reachable folders from navigation history (BFS traversal)
-  const queue = [...state.navigationHistory];
-  const visited = new Set(state.navigationHistory);
+  const foldersToShow = getFoldersToShow();
+  foldersToShow.add(state.currentFolderId);
+  updateFolderResidency(foldersToShow);
 
-  while (queue.length > 0) {
-    const currentId = queue.shift();
-    const currentFolder = FOLDER_GRAPH[currentId];
-
-    if (currentFolder && currentFolder.nodes) {
-      currentFolder.nodes.forEach(node => {
-        if (node.nextFolderId && !visited.has(node.nextFolderId)) {
-          visited.add(node.nextFolderId);
-          foldersToShow.add(node.nextFolderId);
-          queue.push(node.nextFolderId);
-        }
-      });
-    }
-  }
+  // Redraw folder connections for visible folders
+  drawFolderConnections();
 
   // Show/hide platforms
   platformMeshes.forEach((mesh, folderId) => {
@@ -757,28 +1293,19 @@ function showCurrentFolder() {
   });
 
   // Show/hide nodes for visible folders
-  nodeMeshes.forEach(({ mesh, label }, nodeId) => {
-    const nodeFolderId = mesh.userData.folderId;
-    mesh.visible = foldersToShow.has(nodeFolderId);
-
-    // Reset material opacity and transparency
-    mesh.material.opacity = 1;
-    mesh.material.transparent = false;
+  folderInstances.forEach((batch, folderId) => {
+    setFolderInstancesVisible(folderId, foldersToShow.has(folderId));
+  });
 
-    // Show labels for visible folders
+  // Show labels for visible folders
+  nodeMeshes.forEach(({ label, folderId }) => {
     if (label) {
-      label.visible = foldersToShow.has(nodeFolderId);
-      label.material.opacity = 1;
+      label.visible = foldersToShow.has(folderId);
     }
   });
 
   // Rebuild raycast targets from visible nodes
-  raycastTargets = [];
-  nodeMeshes.forEach(({ mesh }, nodeId) => {
-    if (mesh.visible && mesh.userData.hitTarget) {
-      raycastTargets.push(mesh.userData.hitTarget);
-    }
-  });
+  rebuildRaycastTargets();
 
   updateBreadcrumb();
 }
@@ -786,6 +1313,9 @@ function showCurrentFolder() {
 function updateBreadcrumb() {
   const breadcrumbEl = document.getElementById('breadcrumb');
   breadcrumbEl.innerHTML = '';
+  updateNavigationButtons();
+  updateShellPrompt();
+  updateMinimap();
 
   state.navigationHistory.forEach((folderId, index) => {
     const folder = FOLDER_GRAPH[folderId];
@@ -827,69 +1357,212 @@ function navigateToHistoryIndex(targetIndex) {
   enterFolder(targetFolderId, false);
 }
 
-// ============================================
-// INTERACTION
-// ============================================
-function setupEventListeners() {
-  const canvas = renderer.domElement;
-
-  canvas.addEventListener('mousemove', onMouseMove);
-  canvas.addEventListener('click', onClick);
-  canvas.addEventListener('dblclick', onDoubleClick);
-  canvas.addEventListener('wheel', onWheel);
-  canvas.addEventListener('mousedown', onMouseDown);
-  canvas.addEventListener('contextmenu', e => e.preventDefault());
-
-  window.addEventListener('resize', onResize);
-  window.addEventListener('keydown', onKeyDown);
-
-  // Close button handlers
-  document.getElementById('terminal-close-btn').addEventListener('click', closeTerminal);
-  document.getElementById('clue-close-btn').addEventListener('click', closeClue);
-  document.getElementById('lore-close-btn').addEventListener('click', closeLorePanel);
-
-  // DEV: Skip puzzle button
-  document.getElementById('skip-puzzle-btn').addEventListener('click', () => {
-    console.log('[DEV] Skipping current puzzle...');
-    // Find the terminal node and mark puzzle as solved
-    const folder = FOLDER_GRAPH[state.currentFolderId];
-    const terminalNode = folder?.nodes?.find(n => n.type === 'terminal');
-    if (terminalNode && terminalNode.nextFolderId) {
-      // Close the modal first
-      closeTerminal();
-      // Mark puzzle solved
-      if (!state.puzzlesSolved[state.currentFolderId]) {
-        state.puzzlesSolved[state.currentFolderId] = {};
-      }
-      state.puzzlesSolved[state.currentFolderId]['root_auth'] = true;
-      // Navigate
-      enterFolder(terminalNode.nextFolderId);
-      console.log('[DEV] Skipped to:', terminalNode.nextFolderId);
-    }
-  });
+// Breadcrumb path for a folder: reuse the current path where possible,
+// otherwise fall back to the shortest route from the root
+function getPathToFolder(folderId) {
+  const index = state.navigationHistory.indexOf(folderId);
+  if (index !== -1) {
+    return state.navigationHistory.slice(0, index + 1);
+  }
 
-  // Start clock
-  updateClock();
-  setInterval(updateClock, 1000);
+  const currentFolder = FOLDER_GRAPH[state.currentFolderId];
+  if (currentFolder.nodes.some(node => node.nextFolderId === folderId)) {
+    return [...state.navigationHistory, folderId];
+  }
 
-  // Listen for X Window resize events
-  const windowEl = document.getElementById('xterm-window');
-  if (windowEl) {
-    windowEl.addEventListener('windowresize', () => {
-      const container = document.getElementById('canvas-container');
-      if (container && renderer) {
-        const width = container.clientWidth;
-        const height = container.clientHeight;
-        camera.aspect = width / height;
-        camera.updateProjectionMatrix();
-        renderer.setSize(width, height);
+  const parents = { root_usr: null };
+  const queue = ['root_usr'];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (id === folderId) break;
+    FOLDER_GRAPH[id].nodes.forEach(node => {
+      if (node.nextFolderId && FOLDER_GRAPH[node.nextFolderId] && !(node.nextFolderId in parents)) {
+        parents[node.nextFolderId] = id;
+        queue.push(node.nextFolderId);
       }
     });
   }
+
+  const path = [];
+  for (let id = folderId; id; id = parents[id]) {
+    path.unshift(id);
+  }
+  return path;
 }
 
-// Update CDE-style clock
-function updateClock() {
+// Current location as a unix-style path, e.g. /usr/sys/park
+function getCurrentPath() {
+  return '/' + state.navigationHistory.map(id => FOLDER_GRAPH[id].name.replace(/^\//, '')).join('/');
+}
+
+function navigateBack() {
+  if (state.isTransitioning || state.isWon || state.backStack.length === 0) return;
+
+  const folderId = state.backStack.pop();
+  state.forwardStack.push(state.currentFolderId);
+  state.navigationHistory = getPathToFolder(folderId);
+  enterFolder(folderId, false, false);
+}
+
+function navigateForward() {
+  if (state.isTransitioning || state.isWon || state.forwardStack.length === 0) return;
+
+  const folderId = state.forwardStack.pop();
+  state.backStack.push(state.currentFolderId);
+  state.navigationHistory = getPathToFolder(folderId);
+  enterFolder(folderId, false, false);
+}
+
+function navigateUp() {
+  navigateToHistoryIndex(state.navigationHistory.length - 2);
+}
+
+function navigateHome() {
+  navigateToHistoryIndex(0);
+}
+
+function updateNavigationButtons() {
+  document.getElementById('nav-back-btn').disabled = state.backStack.length === 0;
+  document.getElementById('nav-forward-btn').disabled = state.forwardStack.length === 0;
+  document.getElementById('nav-up-btn').disabled = state.navigationHistory.length < 2;
+  document.getElementById('nav-home-btn').disabled = state.currentFolderId === 'root_usr';
+}
+
+// Throw away and rebuild the current folder's platform, nodes and labels
+function refreshCurrentFolder() {
+  if (state.isTransitioning || state.isWon) return;
+
+  const folder = FOLDER_GRAPH[state.currentFolderId];
+  disposeFolder(folder.id);
+  buildFolder(folder.id);
+
+  state.hoveredNodeId = null;
+  haloMesh.material.opacity = 0;
+  showCurrentFolder();
+}
+
+function disposeFolder(folderId) {
+  const disposeMesh = mesh => {
+    scene.remove(mesh);
+    mesh.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) {
+        if (child.material.map) child.material.map.dispose();
+        child.material.dispose();
+      }
+    });
+  };
+
+  const platform = platformMeshes.get(folderId);
+  if (platform) {
+    disposeMesh(platform);
+    platformMeshes.delete(folderId);
+  }
+
+  const floorLabel = folderLabels.get(folderId);
+  if (floorLabel) {
+    disposeLabel(floorLabel);
+    folderLabels.delete(folderId);
+  }
+
+  const batch = folderInstances.get(folderId);
+  if (batch) {
+    // Geometry and materials are shared, except the body geometry carrying per-instance emissive
+    if (gpuPicker) gpuPicker.remove(batch.hitMesh);
+    [batch.bodyMesh, batch.hitMesh, ...batch.iconMeshes.values()].forEach(instancedMesh => {
+      scene.remove(instancedMesh);
+      instancedMesh.dispose();
+    });
+    batch.bodyMesh.geometry.dispose();
+    batch.nodeIds.forEach(nodeId => {
+      const { label } = nodeMeshes.get(nodeId);
+      if (label) disposeLabel(label);
+      nodeMeshes.delete(nodeId);
+    });
+    folderInstances.delete(folderId);
+  }
+
+  raycastTargets = raycastTargets.filter(target => target.userData.folderId !== folderId);
+}
+
+// ============================================
+// INTERACTION
+// ============================================
+function setupEventListeners() {
+  const canvas = renderer.domElement;
+
+  canvas.addEventListener('mousemove', onMouseMove);
+  canvas.addEventListener('mouseleave', onMouseLeave);
+  canvas.addEventListener('click', onClick);
+  canvas.addEventListener('dblclick', onDoubleClick);
+  canvas.addEventListener('wheel', onWheel);
+  canvas.addEventListener('mousedown', onMouseDown);
+  canvas.addEventListener('contextmenu', e => e.preventDefault());
+  setupTouchInput(canvas);
+
+  window.addEventListener('resize', onResize);
+  window.addEventListener('keydown', onKeyDown);
+
+  // Focusable so clicking the scene takes focus away from the menubar
+  canvas.tabIndex = 0;
+
+  // Shell window
+  setupShell();
+
+  // Minimap window
+  setupMinimap();
+
+  // Camera tuning panel in the debug HUD
+  createCameraConfigEditor(document.getElementById('camera-tuner'), CAMERA_CONFIG, {
+    storageKey: CONFIG.cameraProfilesKey,
+    defaults: CAMERA_DEFAULTS,
+    onChange: onCameraConfigChange
+  });
+
+  // Menubar
+  menubar = createMenubar(document.querySelector('.x-menubar'), buildMenus());
+  document.getElementById('help-close-btn').addEventListener('click', closeHelp);
+
+  // Toolbar navigation
+  document.getElementById('nav-back-btn').addEventListener('click', navigateBack);
+  document.getElementById('nav-forward-btn').addEventListener('click', navigateForward);
+  document.getElementById('nav-up-btn').addEventListener('click', navigateUp);
+  document.getElementById('nav-home-btn').addEventListener('click', navigateHome);
+  document.getElementById('nav-refresh-btn').addEventListener('click', refreshCurrentFolder);
+
+  // Close button handlers
+  document.getElementById('terminal-close-btn').addEventListener('click', closeTerminal);
+  document.getElementById('clue-close-btn').addEventListener('click', closeClue);
+  document.getElementById('lore-close-btn').addEventListener('click', closeLorePanel);
+
+  // DEV: Skip puzzle button
+  document.getElementById('skip-puzzle-btn').addEventListener('click', () => {
+    console.log('[DEV] Skipping current puzzle...');
+    const nextFolderId = state.currentTerminalNextFolder;
+    if (state.currentPuzzleId && nextFolderId) {
+      // Close the modal first
+      closeTerminal();
+      // Mark puzzle solved and navigate
+      unlockPuzzle(state.currentPuzzleId, nextFolderId);
+      console.log('[DEV] Skipped to:', nextFolderId);
+    }
+  });
+
+  // Start clock
+  updateClock();
+  setInterval(updateClock, 1000);
+
+  // Listen for X Window resize events
+  const windowEl = document.getElementById('xterm-window');
+  if (windowEl) {
+    windowEl.addEventListener('windowresize', () => {
+      if (renderer) onResize();
+    });
+  }
+}
+
+// Update CDE-style clock
+function updateClock() {
   const clockEl = document.getElementById('clock');
   if (clockEl) {
     const now = new Date();
@@ -901,37 +1574,37 @@ function updateClock() {
   }
 }
 
-function getMouseFromEvent(event) {
-  const canvas = renderer.domElement;
-  const rect = canvas.getBoundingClientRect();
-  const mouseCoords = new THREE.Vector2();
-  mouseCoords.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-  mouseCoords.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-  return mouseCoords;
+function onMouseMove(event) {
+  if (isEmulatedMouse()) return;
+  pointer.x = event.clientX;
+  pointer.y = event.clientY;
+  pointer.inside = true;
+  invalidatePick();
 }
 
-function onMouseMove(event) {
-  const mouseCoords = getMouseFromEvent(event);
-  mouse.x = mouseCoords.x;
-  mouse.y = mouseCoords.y;
+function onMouseLeave() {
+  pointer.inside = false;
+  invalidatePick();
 }
 
 function onClick(event) {
-  const clickMouse = getMouseFromEvent(event);
+  if (isEmulatedMouse()) return;
 
   const now = Date.now();
   const isDoubleClick = now - state.lastClickTime < 300;
   state.lastClickTime = now;
 
-  if (state.isTransitioning || state.isWon) return;
+  selectNodeAt(event.clientX, event.clientY, isDoubleClick);
+}
 
-  raycaster.setFromCamera(clickMouse, camera);
-  const intersects = raycaster.intersectObjects(raycastTargets);
+// Shared by mouse clicks and touch taps
+function selectNodeAt(clientX, clientY, isDoubleClick) {
+  if (state.isTransitioning || state.isWon) return;
 
-  if (intersects.length > 0) {
-    const target = intersects[0].object;
-    const nodeId = target.userData.nodeId;
-    const nodeFolderId = target.userData.folderId;
+  const hit = pickNodeAt(clientX, clientY);
+  if (hit) {
+    const nodeId = hit.nodeId;
+    const nodeFolderId = hit.folderId;
 
     // Only allow clicking nodes in the current folder
     if (nodeFolderId !== state.currentFolderId) {
@@ -957,58 +1630,272 @@ function onWheel(event) {
   if (state.isTransitioning || state.isWon) return;
 
   // Use smooth zoom camera system
-  zoomCamera(event.deltaY);
+  zoomCamera(event.deltaY * controlSign());
 }
 
 function onMouseDown(event) {
-  if (event.button === 0 && !state.isTransitioning && !state.isWon) {
-    // Left drag for panning
-    const startX = event.clientX;
-    const startZ = camera.position.x;
-
-    const onMouseMove = (e) => {
-      const deltaX = (e.clientX - startX) * 0.05;
-      camera.position.x = startZ - deltaX;
-      updateCameraLookAt();
-    };
+  if (isEmulatedMouse()) return;
 
-    const onMouseUp = () => {
-      window.removeEventListener('mousemove', onMouseMove);
-      window.removeEventListener('mouseup', onMouseUp);
-    };
-
-    window.addEventListener('mousemove', onMouseMove);
-    window.addEventListener('mouseup', onMouseUp);
+  if (event.button === 0 && !state.isTransitioning && !state.isWon) {
+    // Left drag pans the lookAt target
+    state.isPanning = true;
+    trackDrag(event, (deltaX, deltaY, dt) => {
+      panCamera(deltaX * controlSign(), deltaY * controlSign(), dt);
+    }, () => {
+      state.isPanning = false;
+    });
   }
 
   if (event.button === 2 && !state.isTransitioning && !state.isWon) {
-    // Right drag for looking around (yaw and pitch)
+    // Right drag orbits in overview, otherwise looks around (yaw and pitch)
     state.isLooking = true;
     const startX = event.clientX;
     const startY = event.clientY;
     const startYaw = state.cameraYaw;
     const startPitch = state.cameraPitch;
 
-    const onMouseMove = (e) => {
-      const deltaX = e.clientX - startX;
-      const deltaY = e.clientY - startY;
+    trackDrag(event, (deltaX, deltaY, dt, e) => {
+      if (state.cameraMode === 'overview') {
+        orbitOverview(deltaX * controlSign(), deltaY * controlSign(), dt);
+        return;
+      }
+
+      const totalX = (e.clientX - startX) * controlSign();
+      const totalY = (e.clientY - startY) * controlSign();
 
       // Update yaw (left/right) - smooth rotation
-      state.cameraYaw = THREE.MathUtils.clamp(startYaw - deltaX * 0.002, -0.5, 0.5);
+      state.cameraYaw = THREE.MathUtils.clamp(startYaw - totalX * 0.002, -0.5, 0.5);
 
       // Update pitch (up/down) - smooth rotation, don't go below floor
-      state.cameraPitch = THREE.MathUtils.clamp(startPitch - deltaY * 0.002, -0.3, 0.3);
-    };
-
-    const onMouseUp = () => {
+      state.cameraPitch = THREE.MathUtils.clamp(startPitch - totalY * 0.002, -0.3, 0.3);
+    }, () => {
       state.isLooking = false;
-      window.removeEventListener('mousemove', onMouseMove);
-      window.removeEventListener('mouseup', onMouseUp);
+    });
+  }
+}
+
+// Calls onMove with the pointer movement since the previous event and the seconds it took
+const DRAG_RELEASE_STILL_MS = 80;
+
+function trackDrag(event, onMove, onEnd) {
+  let lastX = event.clientX;
+  let lastY = event.clientY;
+  let lastTime = performance.now();
+
+  const onMouseMove = (e) => {
+    const now = performance.now();
+    onMove(e.clientX - lastX, e.clientY - lastY, (now - lastTime) / 1000, e);
+    lastX = e.clientX;
+    lastY = e.clientY;
+    lastTime = now;
+  };
+
+  const onMouseUp = () => {
+    // Holding still before letting go shouldn't fling the view
+    if (performance.now() - lastTime > DRAG_RELEASE_STILL_MS) {
+      state.orbitVelocity.set(0, 0);
+      state.panVelocity.set(0, 0, 0);
+    }
+    onEnd();
+    window.removeEventListener('mousemove', onMouseMove);
+    window.removeEventListener('mouseup', onMouseUp);
+  };
+
+  window.addEventListener('mousemove', onMouseMove);
+  window.addEventListener('mouseup', onMouseUp);
+}
+
+// ============================================
+// TOUCH AND PEN INPUT
+// ============================================
+// Pointer Events for touch and pen; the mouse keeps the handlers above.
+//   tap                select (a second tap soon after opens)
+//   long press         open
+//   one-finger drag    pan
+//   pinch              zoom
+//   two-finger drag    look around (orbit in overview)
+const TOUCH = {
+  doubleTapMs: 300,
+  doubleTapSlop: 30, // px between the two taps of a double-tap
+  longPressMs: 550,
+  tapSlop: 10, // px a tap may wander before it becomes a drag
+  pinchZoomScale: 0.25, // zoomCamera delta per px of pinch
+  lookSpeed: 0.004, // yaw/pitch radians per px of two-finger drag
+  emulatedMouseMs: 800 // ignore the mouse events browsers replay after a touch
+};
+
+const touchPointers = new Map(); // pointerId -> { x, y }
+let touchGesture = null; // { startX, startY, moved, consumed, longPressTimer, pinchDistance, midX, midY, lastTime }
+let lastTap = { time: 0, x: 0, y: 0 };
+let lastTouchTime = -Infinity;
+
+function isEmulatedMouse() {
+  return performance.now() - lastTouchTime < TOUCH.emulatedMouseMs;
+}
+
+function setupTouchInput(canvas) {
+  canvas.addEventListener('pointerdown', onTouchPointerDown);
+  canvas.addEventListener('pointermove', onTouchPointerMove);
+  canvas.addEventListener('pointerup', onTouchPointerUp);
+  canvas.addEventListener('pointercancel', onTouchPointerCancel);
+}
+
+function getTouchSpread() {
+  const [a, b] = [...touchPointers.values()];
+  return {
+    distance: Math.hypot(a.x - b.x, a.y - b.y),
+    midX: (a.x + b.x) / 2,
+    midY: (a.y + b.y) / 2
+  };
+}
+
+function cancelLongPress() {
+  if (touchGesture && touchGesture.longPressTimer) {
+    clearTimeout(touchGesture.longPressTimer);
+    touchGesture.longPressTimer = null;
+  }
+}
+
+function onTouchPointerDown(event) {
+  if (event.pointerType === 'mouse') return;
+  lastTouchTime = performance.now();
+  if (state.isTransitioning || state.isWon) return;
+
+  event.target.setPointerCapture(event.pointerId);
+  touchPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+  if (touchPointers.size === 1) {
+    touchGesture = {
+      startX: event.clientX,
+      startY: event.clientY,
+      moved: false,
+      consumed: false,
+      longPressTimer: setTimeout(() => onLongPress(event.clientX, event.clientY), TOUCH.longPressMs),
+      lastTime: performance.now()
     };
+  } else if (touchPointers.size === 2 && touchGesture) {
+    // Second finger turns the gesture into pinch/look; it can't be a tap any more
+    cancelLongPress();
+    const spread = getTouchSpread();
+    touchGesture.consumed = true;
+    touchGesture.pinchDistance = spread.distance;
+    touchGesture.midX = spread.midX;
+    touchGesture.midY = spread.midY;
+    state.isPanning = false;
+    state.isLooking = true;
+  }
+}
+
+function onTouchPointerMove(event) {
+  if (event.pointerType === 'mouse') return;
+  lastTouchTime = performance.now();
+
+  // Pen hover moves the hover highlight like a mouse would
+  if (event.pointerType === 'pen' && !touchPointers.has(event.pointerId)) {
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+    pointer.inside = true;
+    invalidatePick();
+    return;
+  }
+
+  const previous = touchPointers.get(event.pointerId);
+  if (!previous || !touchGesture) return;
+
+  const now = performance.now();
+  const dt = (now - touchGesture.lastTime) / 1000;
+  touchGesture.lastTime = now;
+
+  if (touchPointers.size === 1) {
+    const deltaX = event.clientX - previous.x;
+    const deltaY = event.clientY - previous.y;
+    previous.x = event.clientX;
+    previous.y = event.clientY;
+
+    if (!touchGesture.moved &&
+      Math.hypot(event.clientX - touchGesture.startX, event.clientY - touchGesture.startY) > TOUCH.tapSlop) {
+      touchGesture.moved = true;
+      cancelLongPress();
+      state.isPanning = true;
+    }
+    if (touchGesture.moved && !touchGesture.consumed) {
+      panCamera(deltaX * controlSign(), deltaY * controlSign(), dt);
+    }
+    return;
+  }
+
+  previous.x = event.clientX;
+  previous.y = event.clientY;
+  if (touchPointers.size !== 2) return;
+
+  const spread = getTouchSpread();
+  const pinch = spread.distance - touchGesture.pinchDistance;
+  const deltaX = (spread.midX - touchGesture.midX) * controlSign();
+  const deltaY = (spread.midY - touchGesture.midY) * controlSign();
+  touchGesture.pinchDistance = spread.distance;
+  touchGesture.midX = spread.midX;
+  touchGesture.midY = spread.midY;
+
+  // Fingers apart zooms in, like wheel up
+  if (pinch !== 0) zoomCamera(-pinch * TOUCH.pinchZoomScale * controlSign(), 'pinch');
+
+  if (state.cameraMode === 'overview') {
+    orbitOverview(deltaX, deltaY, dt);
+  } else {
+    state.cameraYaw = THREE.MathUtils.clamp(state.cameraYaw - deltaX * TOUCH.lookSpeed, -0.5, 0.5);
+    state.cameraPitch = THREE.MathUtils.clamp(state.cameraPitch - deltaY * TOUCH.lookSpeed, -0.3, 0.3);
+  }
+}
+
+function onTouchPointerUp(event) {
+  if (event.pointerType === 'mouse' || !touchPointers.has(event.pointerId)) return;
+  lastTouchTime = performance.now();
+
+  const gesture = touchGesture;
+  endTouchPointer(event.pointerId);
+  if (!gesture || gesture.consumed || gesture.moved || touchPointers.size > 0) return;
+
+  // A clean tap: a second one close by in time and space opens
+  const now = performance.now();
+  const isDoubleTap = now - lastTap.time < TOUCH.doubleTapMs &&
+    Math.hypot(event.clientX - lastTap.x, event.clientY - lastTap.y) < TOUCH.doubleTapSlop;
+  lastTap = isDoubleTap ? { time: 0, x: 0, y: 0 } : { time: now, x: event.clientX, y: event.clientY };
+
+  selectNodeAt(event.clientX, event.clientY, isDoubleTap);
+}
+
+function onTouchPointerCancel(event) {
+  if (!touchPointers.has(event.pointerId)) return;
+  endTouchPointer(event.pointerId);
+}
+
+function endTouchPointer(pointerId) {
+  touchPointers.delete(pointerId);
+  if (touchPointers.size > 0) return;
 
-    window.addEventListener('mousemove', onMouseMove);
-    window.addEventListener('mouseup', onMouseUp);
+  // Same as the mouse: holding still before lifting shouldn't fling the view
+  if (touchGesture && performance.now() - touchGesture.lastTime > DRAG_RELEASE_STILL_MS) {
+    state.orbitVelocity.set(0, 0);
+    state.panVelocity.set(0, 0, 0);
   }
+  cancelLongPress();
+  touchGesture = null;
+  state.isPanning = false;
+  state.isLooking = false;
+}
+
+// Holding a finger on a node opens it, the same as a double-click
+function onLongPress(clientX, clientY) {
+  if (!touchGesture) return;
+  touchGesture.longPressTimer = null;
+  touchGesture.consumed = true;
+
+  if (state.isTransitioning || state.isWon) return;
+  const hit = pickNodeAt(clientX, clientY);
+  if (!hit || hit.folderId !== state.currentFolderId) return;
+
+  handleNodeClick(hit.nodeId);
+  handleNodeDoubleClick(hit.nodeId);
 }
 
 function onResize() {
@@ -1018,40 +1905,182 @@ function onResize() {
   camera.aspect = width / height;
   camera.updateProjectionMatrix();
   renderer.setSize(width, height);
+  crtPipeline.setSize(width, height);
+  Object.values(connectionMaterials).forEach(material => material.resolution.set(width, height));
 }
 
 function onKeyDown(event) {
+  // Playback ignores input; Escape stops it
+  if (cameraPaths.mode === 'playing') {
+    event.preventDefault();
+    if (event.key === 'Escape') stopCameraPlayback();
+    return;
+  }
+
+  if (menubar.handleKeydown(event)) return;
+
+  // Any key dismisses an open info panel, and does nothing else
+  const helpPanel = document.getElementById('help-panel');
+  if (event.key === 'Escape' && helpPanel.classList.contains('visible')) {
+    closeHelp();
+    return;
+  }
+
   if (document.getElementById('lore-panel').classList.contains('visible')) {
     document.getElementById('lore-panel').classList.remove('visible');
+    return;
+  }
+
+  // Navigation shortcuts - leave text fields and open dialogs alone
+  if (event.target.closest?.('input, textarea, select')) return;
+  if (document.getElementById('terminal-overlay').classList.contains('visible')) return;
+  if (!document.getElementById('loading').classList.contains('hidden')) return;
+
+  if (event.altKey && event.key === 'ArrowLeft') {
+    event.preventDefault();
+    navigateBack();
+  } else if (event.altKey && event.key === 'ArrowRight') {
+    event.preventDefault();
+    navigateForward();
+  } else if (event.key === 'Backspace') {
+    event.preventDefault();
+    navigateBack();
+  } else if (!event.altKey && !event.ctrlKey && !event.metaKey) {
+    handleNodeKeydown(event);
   }
 }
 
-function updateCameraLookAt() {
-  // Legacy function - kept for compatibility
-  const folder = FOLDER_GRAPH[state.currentFolderId];
-  const targetZ = CONFIG.depth.startZ - (folder.depth * CONFIG.depth.step);
-  // Look at the center of the current folder platform
-  camera.lookAt(0, CONFIG.platform.height / 2 + 2, targetZ);
+// Keyboard control of the current platform: arrows walk the node grid,
+// Enter opens, Escape deselects, +/- zoom
+const KEYBOARD_ZOOM_DELTA = 2;
+
+const GRID_STEPS = {
+  ArrowUp: { row: -1, col: 0 },
+  ArrowDown: { row: 1, col: 0 },
+  ArrowLeft: { row: 0, col: -1 },
+  ArrowRight: { row: 0, col: 1 }
+};
+
+function handleNodeKeydown(event) {
+  if (state.isTransitioning || state.isWon) return;
+
+  // Let focused buttons handle their own activation keys
+  const onButton = event.target.closest?.('button');
+
+  if (GRID_STEPS[event.key]) {
+    event.preventDefault();
+    const step = GRID_STEPS[event.key];
+    moveNodeSelection({ row: step.row * controlSign(), col: step.col * controlSign() });
+  } else if (event.key === 'Enter' && !onButton) {
+    if (state.selectedNodeId) {
+      event.preventDefault();
+      handleNodeDoubleClick(state.selectedNodeId);
+    }
+  } else if (event.key === 'Escape') {
+    if (state.cameraMode === 'overview' && !state.selectedNodeId) {
+      exitOverview();
+    } else {
+      clearSelection();
+    }
+  } else if (event.key === 'o' || event.key === 'O') {
+    toggleOverview();
+  } else if ((event.key === 'k' || event.key === 'K') && cameraPaths.authoring) {
+    if (event.shiftKey) {
+      removeAuthoredKeyframe();
+    } else {
+      addAuthoredKeyframe();
+    }
+  } else if (event.key === '+' || event.key === '=') {
+    event.preventDefault();
+    zoomCamera(-KEYBOARD_ZOOM_DELTA * controlSign(), 'keyboard');
+  } else if (event.key === '-' || event.key === '_') {
+    event.preventDefault();
+    zoomCamera(KEYBOARD_ZOOM_DELTA * controlSign(), 'keyboard');
+  }
+}
+
+function moveNodeSelection(step) {
+  // Grid of the current folder's nodes, as laid out by createNodes()
+  const grid = [];
+  nodeMeshes.forEach(({ mesh }, nodeId) => {
+    if (mesh.userData.folderId !== state.currentFolderId) return;
+    const { gridRow, gridCol } = mesh.userData;
+    grid[gridRow] = grid[gridRow] || [];
+    grid[gridRow][gridCol] = nodeId;
+  });
+  if (grid.length === 0) return;
+
+  // Pinned gridCells can leave empty cells and rows, so look only at occupied ones
+  const occupiedCols = row => (grid[row] || []).flatMap((nodeId, col) => (nodeId ? [col] : []));
+
+  // Start from the selection, or the hovered node, or the first node in reading order
+  const startId = state.selectedNodeId || state.hoveredNodeId;
+  const start = nodeMeshes.get(startId);
+  if (!start || start.folderId !== state.currentFolderId) {
+    const firstRow = grid.findIndex((_, row) => occupiedCols(row).length > 0);
+    handleNodeClick(grid[firstRow][occupiedCols(firstRow)[0]]);
+    return;
+  }
+
+  let { gridRow: row, gridCol: col } = start.mesh.userData;
+  if (step.row !== 0) {
+    // Next row in that direction with any node, then its node closest to this column
+    do row += step.row; while (row >= 0 && row < grid.length && occupiedCols(row).length === 0);
+    if (row < 0 || row >= grid.length) return;
+    col = occupiedCols(row).reduce((best, c) => (Math.abs(c - col) < Math.abs(best - col) ? c : best));
+  } else {
+    // Next node along the row, skipping empty cells
+    const cols = occupiedCols(row);
+    const next = step.col > 0 ? cols.find(c => c > col) : cols.reverse().find(c => c < col);
+    if (next === undefined) return;
+    col = next;
+  }
+
+  if (grid[row][col] !== state.selectedNodeId) {
+    handleNodeClick(grid[row][col]);
+  }
 }
 
 // ============================================
 // SMOOTH CAMERA SYSTEM
 // ============================================
+// Returns true while the camera is still converging on its target
 function updateCameraSmooth(delta) {
   const smoothFactor = 1 - Math.exp(-delta * CAMERA_CONFIG.smoothFactor);
+  const overview = state.cameraMode === 'overview';
+  const gliding = overview && applyOverviewInertia(delta);
+
+  // Overview holds its orbit; every other mode recenters yaw/pitch
+  if (!overview) {
+    state.cameraYaw = wrapAngle(state.cameraYaw);
+  }
+  const yawTarget = overview ? state.orbitYaw : 0;
+  const pitchTarget = overview ? state.orbitPitch : 0;
+
+  const settling = state.isLooking || state.isPanning || gliding ||
+    state.currentLookAt.distanceToSquared(state.targetLookAt) > 1e-4 ||
+    Math.abs(state.targetDistance - state.currentDistance) > 1e-2 ||
+    Math.abs(state.targetHeight - state.currentHeight) > 1e-2 ||
+    Math.abs(yawTarget - state.cameraYaw) > 1e-4 ||
+    Math.abs(pitchTarget - state.cameraPitch) > 1e-4;
 
   // Smooth interpolation for all camera properties
   state.currentLookAt.lerp(state.targetLookAt, smoothFactor);
   state.currentDistance += (state.targetDistance - state.currentDistance) * smoothFactor;
   state.currentHeight += (state.targetHeight - state.currentHeight) * smoothFactor;
 
-  // Smoothly recenter yaw/pitch when not looking
-  if (!state.isLooking) {
-    state.cameraYaw += (0 - state.cameraYaw) * smoothFactor * 2;
-    state.cameraPitch += (0 - state.cameraPitch) * smoothFactor * 2;
+  // Smoothly recenter yaw/pitch when not looking, or follow the overview orbit
+  if (overview || !state.isLooking) {
+    state.cameraYaw += (yawTarget - state.cameraYaw) * smoothFactor * 2;
+    state.cameraPitch += (pitchTarget - state.cameraPitch) * smoothFactor * 2;
   }
 
-  // Calculate camera position with yaw/pitch
+  placeCamera();
+  return settling;
+}
+
+// Position the camera from the current lookAt, distance, height, yaw and pitch
+function placeCamera() {
   const yaw = state.cameraYaw || 0;
   const pitch = state.cameraPitch || 0;
 
@@ -1074,7 +2103,7 @@ function setCameraToFolder(folderId, zoomIn = true) {
   const platformZ = CONFIG.depth.startZ - (folder.depth * CONFIG.depth.step);
 
   // Get X position for this folder
-  const xPos = FOLDER_POSITIONS[folderId] || 0;
+  const xPos = folderPositions[folderId] || 0;
 
   // Target is the center of the folder platform
   state.targetLookAt.set(xPos, CONFIG.platform.height / 2, platformZ);
@@ -1103,17 +2132,14 @@ function updateCameraDebug() {
 
   // Update mode display
   modeEl.textContent = state.cameraMode.toUpperCase();
-  modeEl.className = 'value ' + (state.cameraMode === 'node' ? 'mode-node' : 'mode-folder');
+  modeEl.className = 'value mode-' + state.cameraMode;
 
   // Update distance display (rounded)
   distanceEl.textContent = state.currentDistance.toFixed(1);
 
   // Update range display
-  if (state.cameraMode === 'node') {
-    rangeEl.textContent = `${CAMERA_CONFIG.node.minDistance} - ${CAMERA_CONFIG.node.maxDistance}`;
-  } else {
-    rangeEl.textContent = `${CAMERA_CONFIG.folder.minDistance} - ${CAMERA_CONFIG.folder.maxDistance}`;
-  }
+  const range = CAMERA_CONFIG[state.cameraMode];
+  rangeEl.textContent = `${range.minDistance} - ${range.maxDistance}`;
 
   // Update target display
   const targetX = state.targetLookAt.x.toFixed(0);
@@ -1121,9 +2147,15 @@ function updateCameraDebug() {
   targetEl.textContent = `(${targetX}, ${targetZ})`;
 }
 
-function zoomCamera(delta) {
+// source: 'wheel' | 'keyboard' | 'pinch', only used to even out overview dolly steps
+function zoomCamera(delta, source = 'wheel') {
   const zoomSpeed = CAMERA_CONFIG.zoomSpeed;
 
+  if (state.cameraMode === 'overview') {
+    dollyOverview(delta * DOLLY_INPUT_SCALE[source]);
+    return;
+  }
+
   // When in node mode, allow zooming out past folder level to deselect
   if (state.cameraMode === 'node') {
     const nodeDeselectThreshold = CAMERA_CONFIG.deselectThreshold;
@@ -1156,56 +2188,184 @@ function zoomCamera(delta) {
   }
 }
 
+// Live edits from the tuning panel: pull the zoom back inside the new limits
+function onCameraConfigChange() {
+  if (!state.isTransitioning) zoomCamera(0);
+  updateCameraDebug();
+  requestRender();
+}
+
 function deselectNode() {
   state.selectedNodeId = null;
-  state.cameraMode = 'folder';
+  if (state.cameraMode === 'node') state.cameraMode = 'folder';
 
-  nodeMeshes.forEach(({ material }) => {
-    material.emissiveIntensity = 0.1;
-  });
+  resetNodeEmissive();
 
   document.getElementById('status-line').textContent = 'SELECT NODE';
 }
 
 // ============================================
-// SELECTION HANDLING
+// OVERVIEW CAMERA
 // ============================================
-function handleNodeClick(nodeId) {
-  const nodeData = nodeMeshes.get(nodeId);
-  if (!nodeData) return;
+// Orbit, pan and dolly around the whole folder graph. Everything goes through
+// the same targetLookAt/targetDistance/yaw/pitch model as the other modes, so
+// entering and leaving overview animates through updateCameraSmooth().
 
-  state.selectedNodeId = nodeId;
-  state.cameraMode = 'node';
+function toggleOverview() {
+  if (state.cameraMode === 'overview') {
+    exitOverview();
+  } else {
+    enterOverview();
+  }
+}
 
-  // Center camera on this node and zoom in to node level
-  const mesh = nodeData.mesh;
-  state.targetLookAt.set(mesh.position.x, mesh.position.y, mesh.position.z);
+function enterOverview() {
+  if (state.isTransitioning || state.isWon || state.cameraMode === 'overview') return;
+
+  if (state.selectedNodeId) deselectNode();
+  state.cameraMode = 'overview';
+  state.targetDistance = CAMERA_CONFIG.overview.initialDistance;
+  state.orbitYaw = state.cameraYaw;
+  state.orbitPitch = CAMERA_CONFIG.overview.initialPitch;
+  state.orbitVelocity.set(0, 0);
+  state.panVelocity.set(0, 0, 0);
+  document.getElementById('status-line').textContent = 'OVERVIEW';
+  requestRender();
+}
 
-  // Always zoom to nodeZoomDistance (20) when selecting a node
-  state.targetDistance = state.nodeZoomDistance;
+function exitOverview() {
+  if (state.cameraMode !== 'overview') return;
 
-  // Update visual selection
-  nodeMeshes.forEach(({ mesh, material }, id) => {
-    if (id === nodeId) {
-      material.emissiveIntensity = 0.3;
-    } else {
-      material.emissiveIntensity = 0.1;
-    }
-  });
+  state.orbitVelocity.set(0, 0);
+  state.panVelocity.set(0, 0, 0);
+  setCameraToFolder(state.currentFolderId);
+  document.getElementById('status-line').textContent = 'SELECT NODE';
+  requestRender();
+}
 
-  // Update status
-  const node = nodeData.mesh.userData.nodeData;
-  if (node.type === 'lore') {
-    document.getElementById('status-line').textContent = 'PRESS FOR DATA';
-  } else if (node.type === 'terminal') {
-    // Check if puzzle already solved
-    const puzzleId = getPuzzleId(node);
-    if (isPuzzleSolved(state.currentFolderId, puzzleId)) {
-      document.getElementById('status-line').textContent = 'ACCESS GRANTED - DOUBLE CLICK TO ENTER';
-    } else {
-      document.getElementById('status-line').textContent = 'AUTH REQUIRED - DOUBLE CLICK TO ENTER';
-    }
-  } else if (node.type === 'clue') {
+function wrapAngle(angle) {
+  return THREE.MathUtils.euclideanModulo(angle + Math.PI, Math.PI * 2) - Math.PI;
+}
+
+function orbitOverview(deltaX, deltaY, dt) {
+  const { orbitSpeed, minPitch, maxPitch } = CAMERA_CONFIG.overview;
+  const yawStep = -deltaX * orbitSpeed;
+  const pitchStep = deltaY * orbitSpeed;
+
+  state.orbitYaw += yawStep;
+  state.orbitPitch = THREE.MathUtils.clamp(state.orbitPitch + pitchStep, minPitch, maxPitch);
+  if (dt > 0) state.orbitVelocity.set(yawStep / dt, pitchStep / dt);
+}
+
+// Drag moves the lookAt target across the floor so the scene follows the pointer.
+// Folder mode only slides sideways within the current platform.
+const panRight = new THREE.Vector3();
+const panForward = new THREE.Vector3();
+const panStep = new THREE.Vector3();
+
+function panCamera(deltaX, deltaY, dt) {
+  const yaw = state.cameraYaw;
+  panRight.set(Math.cos(yaw), 0, -Math.sin(yaw));
+  panForward.set(-Math.sin(yaw), 0, -Math.cos(yaw));
+
+  if (state.cameraMode === 'overview') {
+    const scale = CAMERA_CONFIG.overview.panSpeed * state.currentDistance;
+    panStep.copy(panRight).multiplyScalar(-deltaX * scale).addScaledVector(panForward, deltaY * scale);
+    state.targetLookAt.add(panStep);
+    clampOverviewTarget();
+    if (dt > 0) state.panVelocity.copy(panStep).divideScalar(dt);
+    return;
+  }
+
+  const platform = platformMeshes.get(state.currentFolderId);
+  if (!platform) return;
+
+  state.targetLookAt.addScaledVector(panRight, -deltaX * 0.05);
+  const halfWidth = platform.geometry.parameters.width / 2;
+  state.targetLookAt.x = THREE.MathUtils.clamp(state.targetLookAt.x, platform.position.x - halfWidth, platform.position.x + halfWidth);
+}
+
+// Wheel deltas are ~100 per notch, keyboard steps 2 and pinch a fraction of a pixel;
+// scale them so a key press or a short pinch dollies about as far as a wheel notch
+const DOLLY_INPUT_SCALE = {
+  wheel: 1,
+  keyboard: 50,
+  pinch: 8
+};
+
+function dollyOverview(delta) {
+  const { dollySpeed, minDistance, maxDistance } = CAMERA_CONFIG.overview;
+  state.targetDistance = THREE.MathUtils.clamp(state.targetDistance * Math.exp(delta * dollySpeed), minDistance, maxDistance);
+}
+
+// Keep the target over the folder graph, plus some margin
+function clampOverviewTarget() {
+  const padding = CAMERA_CONFIG.overview.boundsPadding;
+  const xs = Object.values(folderPositions);
+  const depths = Object.values(FOLDER_GRAPH).map(folder => folder.depth);
+  const nearZ = CONFIG.depth.startZ - Math.min(...depths) * CONFIG.depth.step;
+  const farZ = CONFIG.depth.startZ - Math.max(...depths) * CONFIG.depth.step;
+
+  state.targetLookAt.x = THREE.MathUtils.clamp(state.targetLookAt.x, Math.min(...xs) - padding, Math.max(...xs) + padding);
+  state.targetLookAt.z = THREE.MathUtils.clamp(state.targetLookAt.z, farZ - padding, nearZ + padding);
+}
+
+// Let a released orbit or pan glide to a stop; returns true while still moving
+function applyOverviewInertia(delta) {
+  const { inertia, minPitch, maxPitch } = CAMERA_CONFIG.overview;
+  const decay = Math.exp(-delta * inertia);
+
+  if (!state.isLooking) {
+    state.orbitYaw += state.orbitVelocity.x * delta;
+    state.orbitPitch = THREE.MathUtils.clamp(state.orbitPitch + state.orbitVelocity.y * delta, minPitch, maxPitch);
+    state.orbitVelocity.multiplyScalar(decay);
+    if (state.orbitVelocity.lengthSq() < 1e-6) state.orbitVelocity.set(0, 0);
+  }
+
+  if (!state.isPanning) {
+    state.targetLookAt.addScaledVector(state.panVelocity, delta);
+    clampOverviewTarget();
+    state.panVelocity.multiplyScalar(decay);
+    if (state.panVelocity.lengthSq() < 1e-4) state.panVelocity.set(0, 0, 0);
+  }
+
+  return state.orbitVelocity.lengthSq() > 0 || state.panVelocity.lengthSq() > 0;
+}
+
+// ============================================
+// SELECTION HANDLING
+// ============================================
+function handleNodeClick(nodeId) {
+  const nodeData = nodeMeshes.get(nodeId);
+  if (!nodeData) return;
+
+  state.selectedNodeId = nodeId;
+  state.cameraMode = 'node';
+
+  // Center camera on this node and zoom in to node level
+  const mesh = nodeData.mesh;
+  state.targetLookAt.set(mesh.position.x, mesh.position.y, mesh.position.z);
+
+  // Always zoom to nodeZoomDistance (20) when selecting a node
+  state.targetDistance = state.nodeZoomDistance;
+
+  // Update visual selection
+  resetNodeEmissive();
+  setNodeEmissive(nodeId, 0.3);
+
+  // Update status
+  const node = nodeData.mesh.userData.nodeData;
+  if (node.type === 'lore') {
+    document.getElementById('status-line').textContent = 'PRESS FOR DATA';
+  } else if (node.type === 'terminal') {
+    // Check if puzzle already solved
+    const puzzleId = getPuzzleId(node);
+    if (isPuzzleSolved(state.currentFolderId, puzzleId)) {
+      document.getElementById('status-line').textContent = 'ACCESS GRANTED - DOUBLE CLICK TO ENTER';
+    } else {
+      document.getElementById('status-line').textContent = 'AUTH REQUIRED - DOUBLE CLICK TO ENTER';
+    }
+  } else if (node.type === 'clue') {
     document.getElementById('status-line').textContent = 'PRESS FOR DATA';
   } else if (node.enterable) {
     document.getElementById('status-line').textContent = 'DOUBLE CLICK TO ENTER';
@@ -1227,11 +2387,15 @@ function handleNodeDoubleClick(nodeId) {
   const node = nodeData.mesh.userData.nodeData;
 
   if (node.type === 'lore') {
+    state.loreRead[node.id] = true;
+    markClueFound(node.id);
     showLore(node.loreText);
+    saveGame();
     return;
   }
 
   if (node.type === 'clue') {
+    markClueFound(node.id);
     showClue(node.clueId);
     return;
   }
@@ -1259,29 +2423,27 @@ function handleNodeDoubleClick(nodeId) {
       enterFolder(node.nextFolderId);
     }
   } else if (node.type === 'trap') {
-    triggerTrap(node.trapEffect);
+    triggerTrap(node);
   } else if (node.type === 'redHerring') {
-    denyAccess(nodeData.mesh);
+    denyAccess(nodeId);
   }
 }
 
-function enterFolder(folderId, addToHistory = true) {
+function enterFolder(folderId, addToHistory = true, recordVisit = true) {
+  // Regular navigation starts a new branch, like following a link in a browser
+  if (recordVisit && folderId !== state.currentFolderId) {
+    state.backStack.push(state.currentFolderId);
+    state.forwardStack = [];
+  }
+
+  startConnectionPulse(state.currentFolderId, folderId, CONFIG.animation.enterDuration);
+  recordCameraPathEvent({ type: 'enterFolder', folderId });
+
   state.isTransitioning = true;
   state.currentFolderId = folderId;
   document.getElementById('status-line').textContent = 'ACCESSING...';
 
-  // Update window title
-  const folder = FOLDER_GRAPH[folderId];
-  if (folder) {
-    const titleEl = document.getElementById('window-title-text');
-    if (titleEl) {
-      titleEl.textContent = `File Manager - ${folder.name}`;
-    }
-    const pathEl = document.querySelector('.x-path');
-    if (pathEl) {
-      pathEl.textContent = folder.name;
-    }
-  }
+  updateWindowTitle(folderId);
 
   // Add to navigation history if this is forward navigation
   if (addToHistory) {
@@ -1295,38 +2457,37 @@ function enterFolder(folderId, addToHistory = true) {
     }
   }
 
+  state.visitedFolders[folderId] = true;
+  saveGame();
+  updateConnectionVisibility();
+
   // Set camera target to new folder - will animate smoothly via updateCameraSmooth
   setCameraToFolder(folderId, true);
 
   const startTime = Date.now();
   const duration = CONFIG.animation.enterDuration;
-
-  // Immediately hide previous folder nodes and show new folder nodes
-  const prevFolderId = state.currentFolderId;
-  nodeMeshes.forEach(({ mesh, label }, nodeId) => {
-    if (mesh.userData.folderId === prevFolderId) {
-      mesh.visible = false;
-      if (label) label.visible = false;
-    }
-    if (mesh.userData.folderId === folderId) {
-      mesh.visible = true;
-      if (label) label.visible = true;
-    }
+  const transition = ++folderTransition;
+
+  // Immediately show new folder nodes, building them first if the jump skipped ahead
+  buildFolder(folderId);
+  visibleFolders.add(folderId);
+  setFolderInstancesVisible(folderId, true);
+  nodeMeshes.forEach(({ label, folderId: nodeFolderId }) => {
+    if (label && nodeFolderId === folderId) label.visible = true;
   });
 
   // Rebuild raycast targets for new folder
-  raycastTargets = [];
-  nodeMeshes.forEach(({ mesh }, nodeId) => {
-    if (mesh.visible && mesh.userData.hitTarget) {
-      raycastTargets.push(mesh.userData.hitTarget);
-    }
-  });
+  rebuildRaycastTargets();
 
   function animateEnter() {
+    // A newer transition or a game reset took over
+    if (transition !== folderTransition) return;
+
     const elapsed = Date.now() - startTime;
     const t = Math.min(elapsed / duration, 1);
     const eased = easeInOutCubic(t);
 
+    requestRender();
     if (t < 1) {
       requestAnimationFrame(animateEnter);
     } else {
@@ -1342,11 +2503,25 @@ function enterFolder(folderId, addToHistory = true) {
   animateEnter();
 }
 
-function denyAccess(mesh) {
-  const originalColor = mesh.material.color.getHex();
-  mesh.material.color.setHex(CONFIG.colors.deny);
-  mesh.material.emissive.setHex(CONFIG.colors.deny);
-  mesh.material.emissiveIntensity = 0.5;
+function updateWindowTitle(folderId) {
+  const folder = FOLDER_GRAPH[folderId];
+  if (!folder) return;
+
+  const titleEl = document.getElementById('window-title-text');
+  if (titleEl) {
+    titleEl.textContent = `File Manager - ${folder.name}`;
+  }
+  const pathEl = document.querySelector('.x-path');
+  if (pathEl) {
+    pathEl.textContent = folder.name;
+  }
+}
+
+function denyAccess(nodeId) {
+  const { baseColor } = nodeMeshes.get(nodeId);
+  setNodeColor(nodeId, new THREE.Color(CONFIG.colors.deny));
+  setNodeEmissive(nodeId, 0.5);
+  crtPipeline.pulse(0.5, 300);
 
   // Shake camera
   const originalPos = camera.position.clone();
@@ -1354,10 +2529,11 @@ function denyAccess(mesh) {
 
   function shake() {
     const elapsed = Date.now() - shakeStart;
+    requestRender();
     if (elapsed < CONFIG.animation.denyShake) {
       const intensity = 0.3 * (1 - elapsed / CONFIG.animation.denyShake);
-      camera.position.x = originalPos.x + (Math.random() - 0.5) * intensity;
-      camera.position.y = originalPos.y + (Math.random() - 0.5) * intensity * 0.5;
+      camera.position.x = originalPos.x + (effectRandom() - 0.5) * intensity;
+      camera.position.y = originalPos.y + (effectRandom() - 0.5) * intensity * 0.5;
       requestAnimationFrame(shake);
     } else {
       camera.position.copy(originalPos);
@@ -1368,9 +2544,9 @@ function denyAccess(mesh) {
 
   // Reset color after flash
   setTimeout(() => {
-    mesh.material.color.setHex(originalColor);
-    mesh.material.emissive.setHex(originalColor);
-    mesh.material.emissiveIntensity = 0.1;
+    if (!nodeMeshes.has(nodeId)) return;
+    setNodeColor(nodeId, baseColor);
+    setNodeEmissive(nodeId, nodeId === state.selectedNodeId ? 0.3 : 0.1);
   }, 250);
 
   document.getElementById('status-line').textContent = 'ACCESS DENIED';
@@ -1381,39 +2557,163 @@ function denyAccess(mesh) {
   }, 1000);
 }
 
-function triggerTrap(effect) {
-  document.getElementById('status-line').textContent = 'SYSTEM ERROR';
-  document.getElementById('status-line').classList.add('warning');
+// ============================================
+// TRAPS
+// ============================================
 
-  if (effect === 'back') {
-    // Go back one folder
-    const folder = FOLDER_GRAPH[state.currentFolderId];
-    const prevFolder = Object.values(FOLDER_GRAPH).find(f => f.depth === folder.depth - 1);
-    if (prevFolder) {
-      setTimeout(() => {
-        enterFolder(prevFolder.id);
-      }, 500);
+// Trap behaviors, keyed by the trapEffect name used in folders.json.
+// A node's optional trapParams override the defaults:
+//   duration       - how long a timed effect lasts, or the delay before a move (ms)
+//   penalty        - how many folders the back trap rewinds
+//   targetFolderId - fixed destination for the relocate trap
+const TRAP_EFFECTS = {
+  // Rewind along the breadcrumb path
+  back: {
+    defaults: { penalty: 1, duration: 500 },
+    trigger(params) {
+      const targetIndex = Math.max(0, state.navigationHistory.length - 1 - params.penalty);
+      delayTrapAction(params.duration, () => navigateToHistoryIndex(targetIndex));
     }
-  } else if (effect === 'scramble') {
-    // Random camera shake and position offset
-    const originalPos = camera.position.clone();
-    for (let i = 0; i < 10; i++) {
-      setTimeout(() => {
-        camera.position.x = originalPos.x + (Math.random() - 0.5) * 2;
-        camera.position.y = originalPos.y + (Math.random() - 0.5) * 1;
-      }, i * 50);
+  },
+
+  // Random camera shake
+  scramble: {
+    defaults: { duration: 500 },
+    trigger(params) {
+      const originalPos = camera.position.clone();
+      const steps = Math.max(1, Math.round(params.duration / 50));
+      for (let i = 0; i < steps; i++) {
+        delayTrapAction(i * 50, () => {
+          camera.position.x = originalPos.x + (effectRandom() - 0.5) * 2;
+          camera.position.y = originalPos.y + (effectRandom() - 0.5) * 1;
+        });
+      }
+      delayTrapAction(params.duration + 100, () => {
+        camera.position.copy(originalPos);
+      });
+    }
+  },
+
+  // Temporary lockout
+  lockout: {
+    defaults: { duration: 2000 },
+    trigger(params) {
+      state.isTransitioning = true;
+      holdTrapEffect('lockout', params.duration, () => {
+        state.isTransitioning = false;
+      });
+    }
+  },
+
+  // Teleport to a fixed folder, or a random previously visited one
+  relocate: {
+    defaults: { targetFolderId: null, duration: 500 },
+    trigger(params) {
+      const candidates = Object.keys(state.visitedFolders).filter(id => id !== state.currentFolderId && FOLDER_GRAPH[id]);
+      const targetId = params.targetFolderId || candidates[Math.floor(effectRandom() * candidates.length)];
+      if (targetId) {
+        delayTrapAction(params.duration, () => goToFolder(targetId));
+      }
+    }
+  },
+
+  // Blank out every label for a while
+  hideLabels: {
+    defaults: { duration: 5000 },
+    trigger(params) {
+      camera.layers.disable(CONFIG.labelLayer);
+      holdTrapEffect('hideLabels', params.duration, () => {
+        if (viewOptions.labels) camera.layers.enable(CONFIG.labelLayer);
+      });
+    }
+  },
+
+  // Flip zoom, drag and arrow key directions for a while
+  invertControls: {
+    defaults: { duration: 5000 },
+    trigger(params) {
+      state.controlsInverted = true;
+      holdTrapEffect('invertControls', params.duration, () => {
+        state.controlsInverted = false;
+      });
+    }
+  },
+
+  // Rebuild the current platform with a new node order
+  reshuffle: {
+    defaults: { duration: 300 },
+    trigger(params) {
+      const folderId = state.currentFolderId;
+      state.reshuffles[folderId] = (state.reshuffles[folderId] || 0) + 1;
+      delayTrapAction(params.duration, refreshCurrentFolder);
     }
-    setTimeout(() => {
-      camera.position.copy(originalPos);
-    }, 600);
-  } else if (effect === 'lockout') {
-    // Temporary lockout
-    state.isTransitioning = true;
-    setTimeout(() => {
-      state.isTransitioning = false;
-      document.getElementById('status-line').classList.remove('warning');
-    }, 2000);
   }
+};
+
+// Timed trap effects keep one timer each: triggering again restarts the clock
+// instead of letting the older timer end the effect early
+const trapTimers = {}; // effect name -> { handle, end }
+
+function holdTrapEffect(name, duration, end) {
+  if (trapTimers[name]) clearTimeout(trapTimers[name].handle);
+  trapTimers[name] = {
+    end,
+    handle: setTimeout(() => {
+      delete trapTimers[name];
+      end();
+    }, duration)
+  };
+}
+
+// One-shot trap actions (a delayed move, a camera shake step) that a reset drops unrun
+const trapDelays = new Set(); // pending timeout handles
+
+function delayTrapAction(delay, action) {
+  const handle = setTimeout(() => {
+    trapDelays.delete(handle);
+    action();
+  }, delay);
+  trapDelays.add(handle);
+}
+
+// End every timed effect and drop pending trap actions, e.g. when a new game starts
+function clearTrapEffects() {
+  Object.keys(trapTimers).forEach(name => {
+    const { handle, end } = trapTimers[name];
+    clearTimeout(handle);
+    delete trapTimers[name];
+    end();
+  });
+  trapDelays.forEach(handle => clearTimeout(handle));
+  trapDelays.clear();
+}
+
+function triggerTrap(node) {
+  const statusLine = document.getElementById('status-line');
+  const trap = TRAP_EFFECTS[node.trapEffect];
+
+  if (!trap) {
+    console.warn(`[TRAP] Unknown trap effect "${node.trapEffect}" on ${node.id}`);
+    denyAccess(node.id);
+    return;
+  }
+
+  statusLine.textContent = 'SYSTEM ERROR';
+  statusLine.classList.add('warning');
+  crtPipeline.pulse(1, 700);
+  requestRender();
+
+  const params = { ...trap.defaults, ...node.trapParams };
+  trap.trigger(params, node);
+
+  setTimeout(() => {
+    statusLine.classList.remove('warning');
+  }, Math.max(params.duration, 1000));
+}
+
+// -1 while the invertControls trap is active, otherwise 1
+function controlSign() {
+  return state.controlsInverted ? -1 : 1;
 }
 
 function showLore(text) {
@@ -1445,6 +2745,7 @@ function triggerWin() {
       mesh.material.emissive.copy(color);
     });
 
+    requestRender();
     if (t < 1) {
       requestAnimationFrame(animateWin);
     } else {
@@ -1467,16 +2768,15 @@ function triggerWin() {
     const elapsed = Date.now() - fadeStart;
     const opacity = 1 - Math.min(elapsed / 1000, 1);
 
-    connectionLines.children.forEach(line => {
-      line.material.opacity = opacity;
+    Object.entries(connectionMaterials).forEach(([edgeState, material]) => {
+      material.opacity = CONFIG.connections[edgeState].opacity * opacity;
     });
 
+    requestRender();
     if (opacity > 0) {
       requestAnimationFrame(fadeConnections);
     } else {
-      while (connectionLines.children.length > 0) {
-        connectionLines.remove(connectionLines.children[0]);
-      }
+      clearConnectionLines();
     }
   }
 
@@ -1484,57 +2784,163 @@ function triggerWin() {
 }
 
 // ============================================
-// ANIMATION LOOP
+// PICKING
 // ============================================
-function animate() {
-  requestAnimationFrame(animate);
+// Hover is only re-picked when the pointer, the camera or the pickable set changes
+const pointer = { x: 0, y: 0, inside: false };
+const pickNdc = new THREE.Vector2();
+const lastPickCameraPosition = new THREE.Vector3();
+const lastPickCameraQuaternion = new THREE.Quaternion();
+let pickDirty = true;
+
+function invalidatePick() {
+  pickDirty = true;
+}
 
-  const delta = clock.getDelta();
-  const time = clock.getElapsedTime();
+// Node under a client-space point, optionally limited to one folder
+function pickNodeAt(x, y, folderId = null) {
+  if (gpuPicker) {
+    const filter = folderId ? hitMesh => hitMesh.userData.folderId === folderId : undefined;
+    return getIntersectedNode(gpuPicker.pick(camera, x, y, filter));
+  }
 
-  // Hover detection
-  if (!state.isTransitioning && !state.isWon) {
-    raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(raycastTargets);
-
-    // Only hover over nodes in the current folder
-    const validIntersect = intersects.find(hit => hit.object.userData.folderId === state.currentFolderId);
-    const hoveredNodeId = validIntersect ? validIntersect.object.userData.nodeId : null;
-
-    // Only process changes when hover state actually changes
-    if (hoveredNodeId !== state.hoveredNodeId) {
-      // Reset previous hover
-      if (state.hoveredNodeId) {
-        const prevHover = nodeMeshes.get(state.hoveredNodeId);
-        if (prevHover && prevHover.mesh.userData.nodeId !== state.selectedNodeId) {
-          prevHover.mesh.position.y = calculateNodeY(prevHover.mesh.userData.folderId);
-          prevHover.mesh.scale.set(1, 1, 1);
-        }
-      }
+  const rect = renderer.domElement.getBoundingClientRect();
+  pickNdc.x = ((x - rect.left) / rect.width) * 2 - 1;
+  pickNdc.y = -((y - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(pickNdc, camera);
+
+  const targets = folderId
+    ? raycastTargets.filter(target => target.userData.folderId === folderId)
+    : raycastTargets;
+  return getIntersectedNode(raycaster.intersectObjects(targets)[0]);
+}
 
-      haloMesh.material.opacity = 0;
+function updateHoverPick() {
+  if (state.isTransitioning || state.isWon) return;
 
-      // Set new hover
-      if (hoveredNodeId) {
-        state.hoveredNodeId = hoveredNodeId;
+  const cameraMoved = !camera.position.equals(lastPickCameraPosition) ||
+    !camera.quaternion.equals(lastPickCameraQuaternion);
+  if (!pickDirty && !cameraMoved) return;
 
-        const nodeData = nodeMeshes.get(hoveredNodeId);
-        if (nodeData) {
-          // Raise node
-          const baseY = calculateNodeY(nodeData.mesh.userData.folderId);
-          nodeData.mesh.position.y = baseY + 0.15;
-          nodeData.mesh.scale.set(1.05, 1, 1.05);
+  pickDirty = false;
+  lastPickCameraPosition.copy(camera.position);
+  lastPickCameraQuaternion.copy(camera.quaternion);
 
-          // Move halo
-          haloMesh.position.x = nodeData.mesh.position.x;
-          haloMesh.position.z = nodeData.mesh.position.z;
-          haloMesh.material.opacity = 0.15;
-        }
-      } else {
-        state.hoveredNodeId = null;
-      }
+  // Only hover over nodes in the current folder
+  const hit = pointer.inside ? pickNodeAt(pointer.x, pointer.y, state.currentFolderId) : null;
+  setHoveredNode(hit ? hit.nodeId : null);
+}
+
+function setHoveredNode(hoveredNodeId) {
+  // Only process changes when hover state actually changes
+  if (hoveredNodeId === state.hoveredNodeId) return;
+  requestRender();
+
+  // Reset previous hover
+  if (state.hoveredNodeId) {
+    const prevHover = nodeMeshes.get(state.hoveredNodeId);
+    if (prevHover && prevHover.mesh.userData.nodeId !== state.selectedNodeId) {
+      prevHover.mesh.position.y = calculateNodeY(prevHover.mesh.userData.folderId);
+      prevHover.mesh.scale.set(1, 1, 1);
+    }
+  }
+
+  haloMesh.material.opacity = 0;
+
+  // Set new hover
+  if (hoveredNodeId) {
+    state.hoveredNodeId = hoveredNodeId;
+
+    const nodeData = nodeMeshes.get(hoveredNodeId);
+    if (nodeData) {
+      // Raise node
+      const baseY = calculateNodeY(nodeData.mesh.userData.folderId);
+      nodeData.mesh.position.y = baseY + 0.15;
+      nodeData.mesh.scale.set(1.05, 1, 1.05);
+
+      // Move halo
+      haloMesh.position.x = nodeData.mesh.position.x;
+      haloMesh.position.z = nodeData.mesh.position.z;
+      haloMesh.material.opacity = 0.15;
     }
+  } else {
+    state.hoveredNodeId = null;
+  }
+}
+
+// ============================================
+// FRAME SCHEDULER
+// ============================================
+// Renders at full rate only while the camera settles, an animation runs or
+// input just arrived; otherwise ticks at CONFIG.frames.ambientFps for the
+// float effect, and stops entirely while the page is hidden.
+let frameHandle = null; // { raf } or { timeout }
+let awakeUntil = 0;
+
+function isAwake() {
+  return performance.now() < awakeUntil;
+}
+
+// Keep rendering at full rate for a moment, waking the loop if it is idling
+function requestRender() {
+  awakeUntil = Math.max(awakeUntil, performance.now() + CONFIG.frames.wakeDuration);
+
+  if (frameHandle && frameHandle.timeout !== undefined) {
+    clearTimeout(frameHandle.timeout);
+    frameHandle = null;
+  }
+  if (!frameHandle && !document.hidden) {
+    frameHandle = { raf: requestAnimationFrame(animate) };
+  }
+}
+
+function scheduleFrame(active) {
+  if (frameHandle || document.hidden) return;
+
+  if (active) {
+    frameHandle = { raf: requestAnimationFrame(animate) };
+  } else {
+    frameHandle = {
+      timeout: setTimeout(() => {
+        frameHandle = { raf: requestAnimationFrame(animate) };
+      }, 1000 / CONFIG.frames.ambientFps)
+    };
   }
+}
+
+function setupFrameScheduler() {
+  // Any input may change what is on screen
+  ['pointermove', 'pointerdown', 'wheel', 'keydown', 'resize'].forEach(type => {
+    window.addEventListener(type, requestRender, { passive: true });
+  });
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      if (frameHandle) {
+        if (frameHandle.raf !== undefined) cancelAnimationFrame(frameHandle.raf);
+        if (frameHandle.timeout !== undefined) clearTimeout(frameHandle.timeout);
+        frameHandle = null;
+      }
+    } else {
+      // Don't let the camera jump by the whole time spent hidden
+      clock.getDelta();
+      requestRender();
+    }
+  });
+}
+
+// ============================================
+// ANIMATION LOOP
+// ============================================
+function animate() {
+  frameHandle = null;
+  if (document.hidden) return;
+
+  const delta = clock.getDelta();
+  const time = clock.getElapsedTime();
+
+  // Hover detection
+  updateHoverPick();
 
   // Subtle node animations
   nodeMeshes.forEach(({ mesh }, id) => {
@@ -1547,18 +2953,38 @@ function animate() {
     mesh.position.y = baseY + offset;
   });
 
+  folderInstances.forEach(batch => {
+    if (batch.bodyMesh.visible) syncFolderInstances(batch);
+  });
+
+  updateLabelFade();
+
+  if (Date.now() - lastResidencySweep > CONFIG.residency.sweepInterval) {
+    evictStaleFolders();
+  }
+
   // Halo pulse
   if (haloMesh.material.opacity > 0) {
     haloMesh.material.opacity = 0.15 + Math.sin(time * 4) * 0.05;
   }
 
-  // Smooth camera animation
-  updateCameraSmooth(delta);
+  // Smooth camera animation, or a camera path taking over the camera
+  const cameraSettling = cameraPaths.mode === 'playing' ? updateCameraPlayback() : updateCameraSmooth(delta);
+  if (cameraPaths.mode === 'recording') recordCameraFrame();
 
   // Update debug display
-  updateCameraDebug();
+  if (viewOptions.debugHud && (cameraSettling || isAwake())) {
+    updateCameraDebug();
+  }
+
+  const pulseRunning = updateConnectionPulse();
+
+  const active = cameraSettling || state.isTransitioning || isAwake() || crtPipeline.isPulsing() || pulseRunning;
+  if (!crtPipeline.render({ measureFrame: active })) {
+    renderer.render(scene, camera);
+  }
 
-  renderer.render(scene, camera);
+  scheduleFrame(active);
 }
 
 function calculateNodeY(folderId) {
@@ -1578,22 +3004,21 @@ function easeInOutCubic(t) {
 // PUZZLE SYSTEM
 // ============================================
 
-// Puzzle definitions
-const PUZZLES = {
-  'root_auth': {
-    id: 'root_auth',
-    name: 'Terminal Access',
-    password: 'INGEN-PADDOCK10-MULDOON-1993',
-    format: 'PROJECT-SECTOR-KEYWORD-NUMBER (UPPERCASE, hyphens, no spaces)',
-    hint: 'Search the /usr directory for clues. Find all 4 parts.',
-    clues: {
-      project: { found: false, nodeId: 'usr_ingn_memo' },
-      sector: { found: false, nodeId: 'paddock_status_log' },
-      keyword: { found: false, nodeId: 'incident_report' },
-      number: { found: false, nodeId: 'badge_access' }
-    }
-  }
-};
+// Puzzle definitions, loaded from puzzles.json and keyed by terminalId.
+// Each clue entry maps a password part to the node that reveals it.
+const PUZZLES = Object.fromEntries(
+  Object.entries(PUZZLE_DEFS).map(([id, def]) => [id, {
+    id,
+    name: def.name,
+    password: def.password.toUpperCase(),
+    format: def.format,
+    hint: def.hint,
+    parts: def.parts,
+    clues: Object.fromEntries(
+      Object.entries(def.clues || {}).map(([part, nodeId]) => [part, { found: false, nodeId }])
+    )
+  }])
+);
 
 // Node click handlers for puzzle nodes
 function handlePuzzleNodeClick(nodeId, nodeType) {
@@ -1614,10 +3039,14 @@ function showTerminal(node) {
   const input = document.getElementById('terminal-input');
   const feedback = document.getElementById('terminal-feedback');
   const form = document.getElementById('terminal-form');
+  const header = document.getElementById('terminal-header');
+  const hint = document.getElementById('terminal-hint');
+  const partsEl = document.getElementById('terminal-parts');
 
   // Store puzzle info
   state.currentPuzzleId = getPuzzleId(node);
   state.currentTerminalNextFolder = node.nextFolderId;
+  const puzzle = PUZZLES[state.currentPuzzleId];
 
   // Reset state
   input.value = '';
@@ -1625,18 +3054,27 @@ function showTerminal(node) {
   feedback.innerHTML = '';
   feedback.style.display = 'none';
 
-  // Reset all part indicators
-  const partNames = ['project', 'sector', 'keyword', 'number'];
-  const puzzle = PUZZLES['root_auth'];
-  for (const part of partNames) {
-    const partEl = document.getElementById(`part-${part}`);
-    if (partEl) {
-      // Reset to default, then add 'found' if clue was discovered
+  // Build one part indicator per password part, lit if its clue was discovered
+  partsEl.innerHTML = '';
+  if (puzzle) {
+    header.textContent = `[ ${puzzle.name.toUpperCase()} ]`;
+    hint.textContent = `Hint: ${puzzle.hint} Format: ${puzzle.format}`;
+    puzzle.parts.forEach((part, index) => {
+      const partEl = document.createElement('div');
       partEl.className = 'password-part';
+      partEl.dataset.index = index;
+      partEl.textContent = part;
       if (puzzle.clues[part]?.found) {
         partEl.classList.add('found');
       }
-    }
+      partsEl.appendChild(partEl);
+    });
+  } else {
+    header.textContent = '[ SECURITY ACCESS CONTROL ]';
+    hint.textContent = '';
+    feedback.className = 'visible error';
+    feedback.style.display = 'block';
+    feedback.textContent = `TERMINAL OFFLINE: NO AUTH PROFILE FOR ${node.terminalId || node.id}`;
   }
 
   overlay.classList.add('visible');
@@ -1671,14 +3109,16 @@ document.addEventListener('keydown', (e) => {
     const terminalOverlay = document.getElementById('terminal-overlay');
     if (terminalOverlay.classList.contains('visible')) {
       closeTerminal();
+      e.stopPropagation();
       return;
     }
   }
 
-  // Close clue panel on any key (except Tab)
+  // Close clue panel on any key (except Tab), without the key reaching the scene
   const cluePanel = document.getElementById('clue-panel');
   if (cluePanel.classList.contains('visible') && e.key !== 'Tab') {
     closeClue();
+    e.stopPropagation();
   }
 });
 
@@ -1686,7 +3126,14 @@ function submitPassword() {
   const input = document.getElementById('terminal-input');
   const feedback = document.getElementById('terminal-feedback');
   const password = input.value.trim().toUpperCase();
-  const puzzle = PUZZLES[state.currentPuzzleId] || PUZZLES['root_auth'];
+  const puzzle = PUZZLES[state.currentPuzzleId];
+
+  if (!puzzle) {
+    feedback.className = 'visible error';
+    feedback.style.display = 'block';
+    feedback.innerHTML = 'AUTH FAIL: TERMINAL OFFLINE';
+    return;
+  }
 
   if (!password) {
     feedback.className = 'visible warning';
@@ -1697,22 +3144,22 @@ function submitPassword() {
 
   // Validate format
   const parts = password.split('-');
-  if (parts.length !== 4) {
+  const correctParts = puzzle.password.split('-');
+  if (parts.length !== correctParts.length) {
     feedback.className = 'visible warning';
     feedback.style.display = 'block';
-    feedback.innerHTML = 'AUTH FAIL: INVALID FORMAT (EXPECTED 4 PARTS)';
+    feedback.innerHTML = `AUTH FAIL: INVALID FORMAT (EXPECTED ${correctParts.length} PARTS)`;
     return;
   }
 
   // Check each part - only light up correct ones
-  const partNames = ['PROJECT', 'SECTOR', 'KEYWORD', 'NUMBER'];
-  const correctParts = puzzle.password.split('-');
+  const partEls = document.querySelectorAll('#terminal-parts .password-part');
   let allCorrect = true;
 
-  for (let i = 0; i < 4; i++) {
-    const partEl = document.getElementById(`part-${partNames[i].toLowerCase()}`);
+  for (let i = 0; i < correctParts.length; i++) {
+    const partEl = partEls[i];
     if (parts[i] === correctParts[i]) {
-      partEl.className = 'password-part valid';
+      if (partEl) partEl.className = 'password-part valid';
     } else {
       allCorrect = false;
     }
@@ -1758,6 +3205,9 @@ function unlockPuzzle(puzzleId, nextFolderId) {
     state.puzzlesSolved[state.currentFolderId] = {};
   }
   state.puzzlesSolved[state.currentFolderId][puzzleId] = true;
+  saveGame();
+  updateConnectionVisibility();
+  updateMinimap();
 
   // Use provided nextFolderId or find from terminal node
   const destinationFolder = nextFolderId || state.currentTerminalNextFolder;
@@ -1766,108 +3216,67 @@ function unlockPuzzle(puzzleId, nextFolderId) {
   }
 }
 
-function showClue(nodeId) {
-  const panel = document.getElementById('clue-panel');
-  const title = document.getElementById('clue-title');
-  const content = document.getElementById('clue-text');
-
-  const clueTexts = {
-    'usr_ingn_memo': {
-      title: 'ops_memo.txt',
-      text: `InGen Operations
------------
-To: All Staff
-From: Admin
-Date: 1993
-
-ATTENTION: All procurement requests must reference the main PROJECT code:
-
->>> PROJECT: <span style="color: #ff6b6b; font-weight: bold; font-size: 1.2em;">INGEN</span> <<<
-
-Do not forget to include sector designation in all field documentation.
-
---
-InGen Operations | Isla Nublar | Asset Control`
-    },
-    'paddock_status_log': {
-      title: 'paddock_status.log',
-      text: `PADDOCK STATUS LOG
-================
-Timestamp: 1993-06-15 14:32:01
-
-> SECTOR: <span style="color: #4ecdc4; font-weight: bold; font-size: 1.2em;">PADDOCK10</span>
-> STATUS: MONITORING
-> ANIMALS: 7
-> FENCE: ACTIVE
-
-Last maintenance: 1993-05-20
-Next inspection: 1993-07-01`
-    },
-    'incident_report': {
-      title: 'incident_report_06.txt',
-      text: `INCIDENT REPORT #06
-===============
-Date: 1993-06-15
-Reported by: R. Muldoon
-
-SUBJECT: Fence Power Anomaly
-
-Field staff report: Unexpected fence power drop in sector.
-Manual override required.
+// Clue markup: one string per line. A line starting with "# " is a heading,
+// and {color|TEXT} highlights TEXT. Everything else is plain text.
+const CLUE_HIGHLIGHT_PATTERN = /\{(\w+)\|([^{}]+)\}/g;
 
-NOTE: For any auth code questions, contact:
+function renderClueMarkup(container, lines) {
+  container.textContent = '';
 
->>> <span style="color: #ffe66d; font-weight: bold; font-size: 1.2em;">MULDOON</span> <<<
+  lines.forEach(line => {
+    if (line.startsWith('# ')) {
+      const heading = document.createElement('div');
+      heading.className = 'clue-heading';
+      heading.textContent = line.slice(2);
+      container.appendChild(heading);
+      return;
+    }
 
-Attachments: fence_diagram.pdf ( corrupted )`
-    },
-    'badge_access': {
-      title: 'badge_access.log',
-      text: `BADGE ACCESS LOG
-=============
-AUTH CODE: <span style="color: #a8e6cf; font-weight: bold; font-size: 1.2em;">1993</span>
-
-[ACCESS] 06:00 - Security Station
-[ACCESS] 08:15 - Main Control
-[ACCESS] 12:30 - Embryo Storage
-[ACCESS] 14:00 - Paddock 10 Entry
-
-NOTE: Auth codes reset quarterly. Current code valid until next audit.`
-    },
-    'readme_access': {
-      title: 'README_ACCESS.txt',
-      text: `PASSWORD FORMAT
-=============
-WARNING: This system requires authentication before
-accessing protected folders.
-
-Format: PROJECT-SECTOR-KEYWORD-NUMBER
-Rules:
-  - All UPPERCASE
-  - Use hyphens between parts
-  - NO SPACES
-  - Example: COMPANY-ZONE-NAME-1234
-
-Collect all 4 parts from files in this directory.
-Each part is hidden in a different file and highlighted in bold.`
+    const lineEl = document.createElement('div');
+    lineEl.className = 'clue-line';
+    let lastIndex = 0;
+    for (const match of line.matchAll(CLUE_HIGHLIGHT_PATTERN)) {
+      lineEl.appendChild(document.createTextNode(line.slice(lastIndex, match.index)));
+      const highlight = document.createElement('span');
+      highlight.className = `clue-highlight clue-highlight-${match[1]}`;
+      highlight.textContent = match[2];
+      lineEl.appendChild(highlight);
+      lastIndex = match.index + match[0].length;
     }
-  };
+    lineEl.appendChild(document.createTextNode(line.slice(lastIndex)));
+    container.appendChild(lineEl);
+  });
+}
+
+function showClue(clueId) {
+  const panel = document.getElementById('clue-panel');
+  const title = document.getElementById('clue-title');
+  const content = document.getElementById('clue-text');
 
-  const clue = clueTexts[nodeId];
+  const clue = CLUE_TEXTS[clueId];
   if (clue) {
     title.textContent = `[root@park:${clue.title}]`;
-    content.innerHTML = clue.text;
-    panel.classList.add('visible');
+    content.classList.remove('clue-error');
+    renderClueMarkup(content, clue.body);
+  } else {
+    console.warn(`[CLUE] Missing clue document: ${clueId}`);
+    title.textContent = `[root@park:${clueId || 'unknown'}]`;
+    content.classList.add('clue-error');
+    content.textContent = `READ ERROR: clue file "${clueId || '?'}" not found.`;
+  }
+  panel.classList.add('visible');
+  saveGame();
+}
 
-    // Mark clue as found in puzzle state
-    const puzzle = PUZZLES['root_auth'];
-    for (const [part, clueData] of Object.entries(puzzle.clues)) {
+// Mark every puzzle part revealed by this node as found
+function markClueFound(nodeId) {
+  Object.values(PUZZLES).forEach(puzzle => {
+    Object.values(puzzle.clues).forEach(clueData => {
       if (clueData.nodeId === nodeId) {
         clueData.found = true;
-        break;
       }
-    }
-  }
+    });
+  });
 }
 
 function closeClue() {
@@ -1880,10 +3289,1217 @@ function isPuzzleSolved(folderId, puzzleId) {
   return state.puzzlesSolved[folderId]?.[puzzleId] === true;
 }
 
-// Get puzzle ID from node - always use root_auth for main puzzle
+// Get puzzle ID from node - terminals reference their puzzle by terminalId
 function getPuzzleId(node) {
-  // All terminals use the same puzzle for now
-  return 'root_auth';
+  return node.terminalId || null;
+}
+
+// ============================================
+// SAVE SYSTEM
+// ============================================
+
+const SAVE_KEY = 'jp3d.save';
+const SAVE_VERSION = 3;
+
+// Upgrades a snapshot from version N to N + 1, keyed by N
+const SAVE_MIGRATIONS = {
+  // v2 tracks every visited folder, not just the current path
+  1: snapshot => ({
+    ...snapshot,
+    version: 2,
+    visitedFolders: Object.fromEntries(snapshot.navigationHistory.map(id => [id, true]))
+  }),
+  // v3 remembers the layout seed; older saves had unseeded layouts, so use the default
+  2: snapshot => ({
+    ...snapshot,
+    version: 3,
+    layoutSeed: CONFIG.layoutSeed
+  })
+};
+
+// FNV-1a hash of the folder graph, used to detect saves made against an older folders.json
+function hashFolderGraph() {
+  return hashSeed(JSON.stringify(FOLDER_GRAPH)).toString(16).padStart(8, '0');
+}
+
+const FOLDER_GRAPH_HASH = hashFolderGraph();
+
+function createSnapshot() {
+  const cluesFound = {};
+  Object.values(PUZZLES).forEach(puzzle => {
+    const parts = Object.keys(puzzle.clues).filter(part => puzzle.clues[part].found);
+    if (parts.length > 0) {
+      cluesFound[puzzle.id] = parts;
+    }
+  });
+
+  return {
+    version: SAVE_VERSION,
+    graphHash: FOLDER_GRAPH_HASH,
+    savedAt: new Date().toISOString(),
+    currentFolderId: state.currentFolderId,
+    navigationHistory: [...state.navigationHistory],
+    puzzlesSolved: JSON.parse(JSON.stringify(state.puzzlesSolved)),
+    cluesFound,
+    loreRead: { ...state.loreRead },
+    visitedFolders: { ...state.visitedFolders },
+    layoutSeed: state.layoutSeed
+  };
+}
+
+function saveGame() {
+  // Playback replays navigation on a throwaway copy of the game
+  if (cameraPaths.mode === 'playing') return;
+
+  try {
+    localStorage.setItem(SAVE_KEY, JSON.stringify(createSnapshot()));
+  } catch (err) {
+    console.warn('[SAVE] Could not write save:', err);
+  }
+}
+
+function clearSave() {
+  try {
+    localStorage.removeItem(SAVE_KEY);
+  } catch (err) {
+    console.warn('[SAVE] Could not clear save:', err);
+  }
+}
+
+// Small preferences like the theme; storage may be blocked, so these never throw
+function readSetting(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (err) {
+    console.warn(`[SAVE] Could not read ${key}:`, err);
+    return null;
+  }
+}
+
+function writeSetting(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (err) {
+    console.warn(`[SAVE] Could not write ${key}:`, err);
+  }
+}
+
+// Read the stored snapshot, upgrading or discarding it if it no longer fits
+function loadSnapshot() {
+  let snapshot;
+  try {
+    const raw = localStorage.getItem(SAVE_KEY);
+    if (!raw) return null;
+    snapshot = JSON.parse(raw);
+  } catch (err) {
+    console.warn('[SAVE] Discarding unreadable save:', err);
+    clearSave();
+    return null;
+  }
+
+  if (!snapshot || typeof snapshot.version !== 'number' || snapshot.version > SAVE_VERSION) {
+    console.warn('[SAVE] Discarding save with unknown version');
+    clearSave();
+    return null;
+  }
+
+  while (snapshot.version < SAVE_VERSION) {
+    const migrate = SAVE_MIGRATIONS[snapshot.version];
+    if (!migrate) {
+      console.warn(`[SAVE] No migration from version ${snapshot.version}, discarding save`);
+      clearSave();
+      return null;
+    }
+    try {
+      snapshot = migrate(snapshot);
+    } catch (err) {
+      console.warn(`[SAVE] Could not migrate save from version ${snapshot.version}, discarding:`, err);
+      clearSave();
+      return null;
+    }
+  }
+
+  // Everything after this trusts the field types, so a hand-edited save starts a fresh game
+  if (!isSnapshotShaped(snapshot)) {
+    console.warn('[SAVE] Discarding malformed save');
+    clearSave();
+    return null;
+  }
+
+  // Run even when graphHash matches: a hand-edited save can still name missing folders
+  snapshot = reconcileSnapshot(snapshot);
+  if (!snapshot) {
+    console.warn('[SAVE] Save does not match the current folder graph, discarding');
+    clearSave();
+    return null;
+  }
+
+  return snapshot;
+}
+
+function isSnapshotShaped(snapshot) {
+  const isRecord = value => !!value && typeof value === 'object' && !Array.isArray(value);
+  return typeof snapshot.currentFolderId === 'string' &&
+    Array.isArray(snapshot.navigationHistory) &&
+    snapshot.navigationHistory.every(folderId => typeof folderId === 'string') &&
+    isRecord(snapshot.puzzlesSolved) && Object.values(snapshot.puzzlesSolved).every(isRecord) &&
+    isRecord(snapshot.cluesFound) && Object.values(snapshot.cluesFound).every(Array.isArray) &&
+    isRecord(snapshot.loreRead) &&
+    isRecord(snapshot.visitedFolders);
+}
+
+// Keep whatever part of a stale save still makes sense for the current folder graph
+function reconcileSnapshot(snapshot) {
+  const history = [];
+  for (const folderId of snapshot.navigationHistory) {
+    const folder = FOLDER_GRAPH[folderId];
+    if (!folder) break;
+
+    // Every step after the root must still be linked from the previous folder
+    const prevFolder = FOLDER_GRAPH[history[history.length - 1]];
+    if (prevFolder && !prevFolder.nodes.some(node => node.nextFolderId === folderId)) break;
+    history.push(folderId);
+  }
+
+  if (history.length === 0 || history[0] !== 'root_usr') return null;
+
+  const puzzlesSolved = {};
+  Object.entries(snapshot.puzzlesSolved).forEach(([folderId, solved]) => {
+    if (!FOLDER_GRAPH[folderId]) return;
+    Object.keys(solved).forEach(puzzleId => {
+      if (!PUZZLES[puzzleId]) return;
+      puzzlesSolved[folderId] = puzzlesSolved[folderId] || {};
+      puzzlesSolved[folderId][puzzleId] = true;
+    });
+  });
+
+  const cluesFound = {};
+  Object.entries(snapshot.cluesFound).forEach(([puzzleId, parts]) => {
+    const puzzle = PUZZLES[puzzleId];
+    if (!puzzle) return;
+    cluesFound[puzzleId] = parts.filter(part => puzzle.clues[part]);
+  });
+
+  const nodeIds = new Set();
+  Object.values(FOLDER_GRAPH).forEach(folder => folder.nodes.forEach(node => nodeIds.add(node.id)));
+  const loreRead = {};
+  Object.keys(snapshot.loreRead).forEach(nodeId => {
+    if (nodeIds.has(nodeId)) loreRead[nodeId] = true;
+  });
+
+  const visitedFolders = {};
+  Object.keys(snapshot.visitedFolders).forEach(folderId => {
+    if (FOLDER_GRAPH[folderId]) visitedFolders[folderId] = true;
+  });
+  history.forEach(folderId => { visitedFolders[folderId] = true; });
+
+  return {
+    ...snapshot,
+    graphHash: FOLDER_GRAPH_HASH,
+    currentFolderId: history[history.length - 1],
+    navigationHistory: history,
+    puzzlesSolved,
+    cluesFound,
+    loreRead,
+    visitedFolders
+  };
+}
+
+// A ?seed= in the URL wins over the saved seed unless the caller names one
+function applySnapshot(snapshot, layoutSeed = urlLayoutSeed || snapshot.layoutSeed || state.layoutSeed) {
+  resetLayout(layoutSeed);
+
+  state.navigationHistory = [...snapshot.navigationHistory];
+  state.backStack = [];
+  state.forwardStack = [];
+  state.currentFolderId = snapshot.currentFolderId;
+  state.puzzlesSolved = snapshot.puzzlesSolved;
+  state.loreRead = snapshot.loreRead;
+  state.visitedFolders = snapshot.visitedFolders;
+
+  Object.values(PUZZLES).forEach(puzzle => {
+    const found = snapshot.cluesFound[puzzle.id] || [];
+    Object.entries(puzzle.clues).forEach(([part, clueData]) => {
+      clueData.found = found.includes(part);
+    });
+  });
+
+  updateWindowTitle(state.currentFolderId);
+  showCurrentFolder();
+
+  // Jump straight to the restored folder instead of flying there
+  state.currentLookAt.copy(state.targetLookAt);
+}
+
+function showLoadingMenu() {
+  const loading = document.getElementById('loading');
+  const menu = document.getElementById('loading-menu');
+  const continueBtn = document.getElementById('continue-btn');
+  const continueInfo = document.getElementById('continue-info');
+  const snapshot = loadSnapshot();
+
+  continueBtn.disabled = !snapshot;
+  if (snapshot) {
+    const folder = FOLDER_GRAPH[snapshot.currentFolderId];
+    const savedAt = new Date(snapshot.savedAt).toLocaleString();
+    continueInfo.textContent = `${folder.name} - saved ${savedAt}`;
+  } else {
+    continueInfo.textContent = 'No saved session';
+  }
+
+  loading.classList.add('menu');
+  menu.classList.add('visible');
+
+  document.getElementById('new-game-btn').onclick = () => {
+    clearSave();
+    loading.classList.add('hidden');
+    renderer.domElement.focus();
+  };
+
+  continueBtn.onclick = () => {
+    if (snapshot) {
+      applySnapshot(snapshot);
+    }
+    loading.classList.add('hidden');
+    renderer.domElement.focus();
+  };
+
+  (snapshot ? continueBtn : document.getElementById('new-game-btn')).focus();
+}
+
+// Put the world back to a fresh game, then optionally restore a snapshot
+function resetGame(snapshot = null, layoutSeed = undefined) {
+  closeTerminal();
+  closeClue();
+  closeLorePanel();
+  document.getElementById('win-overlay').classList.remove('visible');
+
+  state.isWon = false;
+  state.isTransitioning = false;
+  folderTransition++;
+  clearTrapEffects();
+  state.currentFolderId = 'root_usr';
+  state.navigationHistory = ['root_usr'];
+  state.backStack = [];
+  state.forwardStack = [];
+  state.puzzlesSolved = {};
+  state.loreRead = {};
+  state.visitedFolders = { root_usr: true };
+  Object.values(PUZZLES).forEach(puzzle => {
+    Object.values(puzzle.clues).forEach(clueData => { clueData.found = false; });
+  });
+
+  // Undo the win animation
+  platformMeshes.forEach(mesh => {
+    mesh.material.color.setHex(CONFIG.colors.folderBase);
+    mesh.material.emissive.setHex(CONFIG.colors.folderBase);
+  });
+
+  if (snapshot) {
+    applySnapshot(snapshot, layoutSeed);
+  } else {
+    resetLayout();
+    updateWindowTitle(state.currentFolderId);
+    showCurrentFolder();
+  }
+}
+
+function exportProgress() {
+  const snapshot = createSnapshot();
+  const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `park-progress-${snapshot.savedAt.slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// ============================================
+// THEMES
+// ============================================
+// Switch the scene colors and the window chrome together, at runtime
+function applyTheme(themeId) {
+  if (!THEMES[themeId]) themeId = DEFAULT_THEME;
+  const base = THEMES[DEFAULT_THEME];
+  const theme = THEMES[themeId];
+  currentTheme = themeId;
+
+  Object.assign(CONFIG.colors, base.scene, theme.scene);
+
+  const rootStyle = document.documentElement.style;
+  Object.entries({ ...base.chrome, ...theme.chrome }).forEach(([name, value]) => {
+    rootStyle.setProperty(`--${name}`, value);
+  });
+
+  writeSetting(CONFIG.themeStorageKey, themeId);
+
+  // On startup the scene is built with these colors; afterwards repaint it in place
+  if (scene) recolorScene();
+}
+
+function recolorScene() {
+  const colors = CONFIG.colors;
+
+  scene.background.setHex(colors.background);
+  scene.fog.color.setHex(colors.background);
+  themedWorld.hemisphere.color.setHex(colors.horizonTop);
+  themedWorld.hemisphere.groundColor.setHex(colors.background);
+  themedWorld.floor.color.setHex(colors.floor);
+  themedWorld.grid.color.setHex(colors.gridPrimary);
+  themedWorld.scanline.color.setHex(colors.gridPrimary);
+  themedWorld.horizon.colorBottom.value.setHex(colors.background);
+  themedWorld.horizon.colorTop.value.setHex(colors.horizonTop);
+
+  const platformColor = state.isWon ? colors.win : colors.folderBase;
+  platformMeshes.forEach(mesh => {
+    mesh.material.color.setHex(platformColor);
+    mesh.material.emissive.setHex(platformColor);
+  });
+
+  nodeMeshes.forEach((entry, nodeId) => {
+    entry.baseColor = new THREE.Color(colors.nodeBase).multiplyScalar(entry.brightness);
+    setNodeColor(nodeId, entry.baseColor);
+    if (entry.label) {
+      entry.label.material.color.setHex(colors[CONFIG.labels.node.colorKey]);
+    }
+  });
+
+  folderLabels.forEach(label => {
+    label.material.color.setHex(colors[CONFIG.labels.floor.colorKey]);
+  });
+
+  iconResources.materials.forEach(material => {
+    material.color.setHex(colors.gridAccent);
+  });
+
+  haloMesh.material.color.setHex(colors.selection);
+
+  // Connection lines are dissolved on win, don't bring them back
+  if (!state.isWon) drawFolderConnections();
+  updateMinimap();
+
+  requestRender();
+}
+
+// ============================================
+// MENUBAR
+// ============================================
+
+function buildMenus() {
+  return [
+    {
+      id: 'file',
+      label: 'File',
+      mnemonic: 'F',
+      items: [
+        {
+          label: 'New Game',
+          action: () => {
+            if (window.confirm('Start a new game? Saved progress will be lost.')) {
+              clearSave();
+              resetGame();
+            }
+          }
+        },
+        { separator: true },
+        {
+          label: 'Save',
+          action: () => {
+            saveGame();
+            flashStatus('PROGRESS SAVED');
+          }
+        },
+        {
+          label: 'Load',
+          action: () => {
+            const snapshot = loadSnapshot();
+            if (snapshot) {
+              resetGame(snapshot);
+              flashStatus('PROGRESS LOADED');
+            } else {
+              flashStatus('NO SAVED SESSION', true);
+            }
+          }
+        },
+        { label: 'Export Progress', action: exportProgress }
+      ]
+    },
+    {
+      id: 'edit',
+      label: 'Edit',
+      mnemonic: 'E',
+      items: [
+        {
+          label: 'Copy Path',
+          action: copyCurrentPath
+        },
+        {
+          label: 'Deselect',
+          shortcut: 'Esc',
+          disabled: () => !state.selectedNodeId,
+          action: clearSelection
+        }
+      ]
+    },
+    {
+      id: 'view',
+      label: 'View',
+      mnemonic: 'V',
+      items: [
+        {
+          label: 'Labels',
+          checked: () => viewOptions.labels,
+          action: () => {
+            viewOptions.labels = !viewOptions.labels;
+            camera.layers.toggle(CONFIG.labelLayer);
+          }
+        },
+        {
+          label: 'Camera Debug HUD',
+          checked: () => viewOptions.debugHud,
+          action: () => {
+            viewOptions.debugHud = !viewOptions.debugHud;
+            document.getElementById('camera-debug').style.display = viewOptions.debugHud ? '' : 'none';
+          }
+        },
+        {
+          label: 'Scanlines',
+          checked: () => viewOptions.scanlines,
+          action: () => {
+            viewOptions.scanlines = !viewOptions.scanlines;
+            updateScanlineOverlay();
+          }
+        },
+        {
+          label: 'Connection Lines',
+          checked: () => viewOptions.connections,
+          action: () => {
+            viewOptions.connections = !viewOptions.connections;
+            connectionLines.visible = viewOptions.connections;
+          }
+        },
+        {
+          label: 'Overview Camera',
+          shortcut: 'O',
+          checked: () => state.cameraMode === 'overview',
+          action: toggleOverview
+        },
+        {
+          label: 'Minimap',
+          checked: () => document.getElementById('minimap-window').classList.contains('visible'),
+          action: toggleMinimap
+        },
+        { separator: true },
+        {
+          label: 'Record Camera Path',
+          checked: () => cameraPaths.mode === 'recording',
+          disabled: () => cameraPaths.authoring,
+          action: () => (cameraPaths.mode === 'recording' ? stopCameraRecording() : startCameraRecording())
+        },
+        {
+          label: 'Author Camera Path',
+          checked: () => cameraPaths.authoring,
+          disabled: () => cameraPaths.mode === 'recording',
+          action: toggleCameraPathAuthoring
+        },
+        {
+          label: 'Play Camera Path',
+          disabled: () => !canPlayCameraPath(),
+          action: playCameraPath
+        },
+        {
+          label: 'Export Camera Path',
+          disabled: () => !canPlayCameraPath(),
+          action: exportCameraPath
+        },
+        { label: 'Import Camera Path...', action: importCameraPath },
+        { separator: true },
+        ...Object.entries(THEMES).map(([themeId, theme]) => ({
+          label: `Theme: ${theme.name}`,
+          checked: () => currentTheme === themeId,
+          action: () => applyTheme(themeId)
+        })),
+        { separator: true },
+        ...CRT_QUALITY_LEVELS.map(quality => ({
+          label: `CRT Effects: ${quality.charAt(0).toUpperCase()}${quality.slice(1)}`,
+          checked: () => crtPipeline.quality === quality,
+          action: () => setCrtQuality(quality)
+        }))
+      ]
+    },
+    {
+      id: 'go',
+      label: 'Go',
+      mnemonic: 'G',
+      items: () => [
+        { label: 'Back', shortcut: 'Alt+Left', disabled: () => state.backStack.length === 0, action: navigateBack },
+        { label: 'Forward', shortcut: 'Alt+Right', disabled: () => state.forwardStack.length === 0, action: navigateForward },
+        { label: 'Up', disabled: () => state.navigationHistory.length < 2, action: navigateUp },
+        { label: 'Home', disabled: () => state.currentFolderId === 'root_usr', action: navigateHome },
+        { separator: true },
+        ...Object.keys(FOLDER_GRAPH)
+          .filter(folderId => state.visitedFolders[folderId])
+          .map(folderId => ({
+            label: FOLDER_GRAPH[folderId].name,
+            checked: () => folderId === state.currentFolderId,
+            disabled: () => folderId === state.currentFolderId,
+            action: () => goToFolder(folderId)
+          }))
+      ]
+    },
+    {
+      id: 'help',
+      label: 'Help',
+      mnemonic: 'H',
+      items: [
+        { label: 'Controls', action: () => showHelp('Controls', HELP_CONTROLS) },
+        { label: 'About', action: () => showHelp('About', HELP_ABOUT) }
+      ]
+    }
+  ];
+}
+
+const HELP_CONTROLS = `Click            Select node
+Double click     Open node / enter folder
+Mouse wheel      Zoom
+Left drag        Pan
+Right drag       Look around
+
+Arrow keys       Move selection
+Enter            Open node / enter folder
+Esc              Deselect / close dialog
++ / -            Zoom
+O                Overview camera (left drag pans,
+                 right drag orbits, Esc returns)
+K / Shift+K      Add / remove a camera path keyframe
+                 (View > Author Camera Path)
+Esc              Stop camera path playback
+
+Alt+Left         Back
+Alt+Right        Forward
+Backspace        Back
+Alt+F/E/V/G/H    Open menu
+
+Tap              Select node
+Double tap/hold  Open node / enter folder
+Drag             Pan
+Pinch            Zoom
+Two-finger drag  Look around
+
+The Terminal button on the taskbar opens a shell.
+Type "help" there for its commands.
+
+The Map button shows the whole park. Click a
+visited folder on it to go there.`;
+
+const HELP_ABOUT = `InGen Park System File Manager
+Isla Nublar, 1993
+
+Unauthorized access is prohibited.`;
+
+// Jump to any visited folder, rebuilding the breadcrumb path to it
+function goToFolder(folderId) {
+  if (state.isTransitioning || state.isWon || folderId === state.currentFolderId) return;
+
+  state.navigationHistory = getPathToFolder(folderId);
+  enterFolder(folderId, false);
+}
+
+function showHelp(title, text) {
+  document.getElementById('help-title').textContent = title;
+  document.getElementById('help-text').textContent = text;
+  document.getElementById('help-panel').classList.add('visible');
+}
+
+function closeHelp() {
+  document.getElementById('help-panel').classList.remove('visible');
+}
+
+function setCrtQuality(quality) {
+  crtPipeline.setQuality(quality);
+  writeSetting(CONFIG.crt.storageKey, quality);
+  updateScanlineOverlay();
+  requestRender();
+}
+
+// Scanlines come from the CRT pass when it runs, otherwise from the CSS overlay
+function updateScanlineOverlay() {
+  const usePipeline = crtPipeline.quality !== 'off';
+  crtPipeline.setScanlines(viewOptions.scanlines);
+  document.getElementById('scanlines').style.display = viewOptions.scanlines && !usePipeline ? '' : 'none';
+}
+
+// Edit > Copy Path: put the breadcrumb path on the clipboard and report how it went
+function copyCurrentPath() {
+  if (!navigator.clipboard) {
+    flashStatus('CLIPBOARD UNAVAILABLE', true);
+    return;
+  }
+  navigator.clipboard.writeText(getCurrentPath())
+    .then(() => flashStatus('PATH COPIED'))
+    .catch(err => {
+      console.warn('[MENU] Could not copy path:', err);
+      flashStatus('COPY FAILED', true);
+    });
+}
+
+let flashStatusTimer = null;
+
+// Show a short message on the status line, then go back to the prompt
+function flashStatus(text, isWarning = false) {
+  const statusLine = document.getElementById('status-line');
+  statusLine.textContent = text;
+  statusLine.classList.toggle('warning', isWarning);
+  clearTimeout(flashStatusTimer);
+  flashStatusTimer = setTimeout(() => {
+    statusLine.classList.remove('warning');
+    statusLine.textContent = 'SELECT NODE';
+  }, 1500);
+}
+
+// ============================================
+// CAMERA PATHS
+// ============================================
+// Record what updateCameraSmooth() produces, or author keyframes at folders and
+// nodes, then play it back along a spline with input and the HUD switched off.
+// Playback runs on a copy of the game: the real progress is restored afterwards.
+
+const cameraPaths = {
+  mode: null, // null | 'recording' | 'playing'
+  authoring: false,
+  path: null, // last recorded, authored or imported path
+  startTime: 0,
+  lastSampleT: -Infinity,
+  lastEventT: -Infinity,
+  snapshot: null // real progress, restored after playback
+};
+
+const cameraSample = { lookAt: new THREE.Vector3(), distance: 0, height: 0, yaw: 0, pitch: 0 };
+
+function getCameraPathTime() {
+  return (performance.now() - cameraPaths.startTime) / 1000;
+}
+
+function getCurrentCameraState() {
+  return {
+    lookAt: state.currentLookAt,
+    distance: state.currentDistance,
+    height: state.currentHeight,
+    yaw: state.cameraYaw,
+    pitch: state.cameraPitch
+  };
+}
+
+function setCameraPathIndicator(text) {
+  const indicator = document.getElementById('camera-path-indicator');
+  indicator.textContent = text || '';
+  indicator.classList.toggle('visible', !!text);
+}
+
+function startCameraRecording() {
+  if (cameraPaths.mode || state.isWon) return;
+
+  cameraPaths.path = createCameraPath({ layoutSeed: state.layoutSeed, startHistory: state.navigationHistory });
+  cameraPaths.mode = 'recording';
+  cameraPaths.startTime = performance.now();
+  cameraPaths.lastSampleT = -Infinity;
+  setCameraPathIndicator('REC');
+  recordCameraFrame();
+}
+
+function stopCameraRecording() {
+  if (cameraPaths.mode !== 'recording') return;
+
+  // Always end on the exact final frame
+  addKeyframe(cameraPaths.path, getCameraPathTime(), getCurrentCameraState());
+  cameraPaths.mode = null;
+  setCameraPathIndicator(null);
+  flashStatus(`RECORDED ${cameraPaths.path.keyframes.length} KEYFRAMES, ${getPathDuration(cameraPaths.path).toFixed(1)}S`);
+}
+
+function recordCameraFrame() {
+  const t = getCameraPathTime();
+  if (t - cameraPaths.lastSampleT < CONFIG.cameraPath.sampleInterval) return;
+
+  cameraPaths.lastSampleT = t;
+  addKeyframe(cameraPaths.path, t, getCurrentCameraState());
+}
+
+function recordCameraPathEvent(event) {
+  if (cameraPaths.mode !== 'recording') return;
+  addEvent(cameraPaths.path, getCameraPathTime(), event);
+}
+
+// Authoring: K places a keyframe framing the selected node, or the current
+// folder, a fixed step after the previous one; Shift+K removes the last one
+function toggleCameraPathAuthoring() {
+  cameraPaths.authoring = !cameraPaths.authoring;
+  if (cameraPaths.authoring) {
+    cameraPaths.path = createCameraPath({ layoutSeed: state.layoutSeed, startHistory: state.navigationHistory });
+  }
+  updateAuthoringIndicator();
+}
+
+function updateAuthoringIndicator() {
+  setCameraPathIndicator(cameraPaths.authoring ? `AUTHOR ${cameraPaths.path.keyframes.length} KEYS` : null);
+}
+
+// Where a keyframe at a folder or node should look, from FOLDER_GRAPH and the layout
+function getAuthoringTarget() {
+  const folderId = state.currentFolderId;
+  const folder = FOLDER_GRAPH[folderId];
+  const lookAt = new THREE.Vector3(
+    folderPositions[folderId] || 0,
+    CONFIG.platform.height / 2,
+    CONFIG.depth.startZ - folder.depth * CONFIG.depth.step
+  );
+
+  const nodeData = state.selectedNodeId && nodeMeshes.get(state.selectedNodeId);
+  if (nodeData) {
+    lookAt.copy(nodeData.mesh.position);
+    return { lookAt, target: { folderId, nodeId: state.selectedNodeId } };
+  }
+  return { lookAt, target: { folderId } };
+}
+
+function addAuthoredKeyframe() {
+  const path = cameraPaths.path;
+  const previous = path.keyframes[path.keyframes.length - 1];
+  const t = previous ? previous.t + CONFIG.cameraPath.authorStep : 0;
+  const { lookAt, target } = getAuthoringTarget();
+
+  // The path starts wherever the first keyframe is placed
+  if (!previous) path.startHistory = [...state.navigationHistory];
+
+  // Moving to another folder enters it as the camera sets off from the previous keyframe
+  if (previous && previous.target.folderId !== target.folderId) {
+    addEvent(path, previous.t, { type: 'enterFolder', folderId: target.folderId });
+  }
+
+  // Framing comes from where the author has the camera now
+  addKeyframe(path, t, {
+    lookAt,
+    distance: state.targetDistance,
+    height: state.targetHeight,
+    yaw: state.cameraMode === 'overview' ? state.orbitYaw : state.cameraYaw,
+    pitch: state.cameraMode === 'overview' ? state.orbitPitch : state.cameraPitch
+  }, target);
+  updateAuthoringIndicator();
+  flashStatus(`KEYFRAME ${path.keyframes.length} AT ${t.toFixed(1)}S`);
+}
+
+function removeAuthoredKeyframe() {
+  const path = cameraPaths.path;
+  const removed = path.keyframes.pop();
+  if (!removed) return;
+
+  path.events = path.events.filter(event => event.t < (path.keyframes[path.keyframes.length - 1] || removed).t);
+  updateAuthoringIndicator();
+}
+
+function canPlayCameraPath() {
+  return !cameraPaths.mode && !!cameraPaths.path && cameraPaths.path.keyframes.length >= 2;
+}
+
+function playCameraPath() {
+  if (!canPlayCameraPath() || state.isTransitioning || state.isWon) return;
+
+  const path = cameraPaths.path;
+  if (!path.startHistory.every(id => FOLDER_GRAPH[id])) {
+    flashStatus('PATH DOES NOT MATCH FOLDERS', true);
+    return;
+  }
+
+  // Start every playback from the same place, on a copy of the game laid out
+  // with the path's own seed, whatever ?seed= says
+  cameraPaths.snapshot = createSnapshot();
+  cameraPaths.mode = 'playing';
+  resetGame({
+    ...cameraPaths.snapshot,
+    navigationHistory: [...path.startHistory],
+    currentFolderId: path.startHistory[path.startHistory.length - 1]
+  }, path.layoutSeed || cameraPaths.snapshot.layoutSeed);
+
+  deselectNode();
+  state.cameraMode = 'folder';
+  onMouseLeave();
+  cameraPaths.startTime = performance.now();
+  cameraPaths.lastEventT = -Infinity;
+  document.body.classList.add('camera-playback');
+  setCameraPathIndicator(null);
+  requestRender();
+}
+
+// Drives the camera from the path; returns true so frames keep coming
+function updateCameraPlayback() {
+  const path = cameraPaths.path;
+  const t = getCameraPathTime();
+
+  getEventsBetween(path, cameraPaths.lastEventT, t).forEach(event => {
+    if (event.type === 'enterFolder' && FOLDER_GRAPH[event.folderId]) {
+      state.navigationHistory = getPathToFolder(event.folderId);
+      enterFolder(event.folderId, false);
+    }
+  });
+  cameraPaths.lastEventT = t;
+
+  sampleCameraPath(path, Math.min(t, getPathDuration(path)), cameraSample);
+  state.currentLookAt.copy(cameraSample.lookAt);
+  state.targetLookAt.copy(cameraSample.lookAt);
+  state.currentDistance = state.targetDistance = cameraSample.distance;
+  state.currentHeight = state.targetHeight = cameraSample.height;
+  state.cameraYaw = cameraSample.yaw;
+  state.cameraPitch = cameraSample.pitch;
+  placeCamera();
+
+  if (t >= getPathDuration(path)) stopCameraPlayback();
+  return true;
+}
+
+function stopCameraPlayback() {
+  if (cameraPaths.mode !== 'playing') return;
+
+  cameraPaths.mode = null;
+  document.body.classList.remove('camera-playback');
+  resetGame(cameraPaths.snapshot);
+  cameraPaths.snapshot = null;
+  updateAuthoringIndicator();
+  requestRender();
+}
+
+function exportCameraPath() {
+  const blob = new Blob([JSON.stringify(cameraPaths.path, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `camera-path-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function importCameraPath() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'application/json,.json';
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (!file) return;
+
+    try {
+      cameraPaths.path = parseCameraPath(await file.text());
+      flashStatus('CAMERA PATH LOADED');
+    } catch (err) {
+      console.warn('[PATH] Could not load camera path:', err);
+      flashStatus('BAD CAMERA PATH', true);
+    }
+  });
+  input.click();
+}
+
+// ============================================
+// MINIMAP
+// ============================================
+
+function setupMinimap() {
+  const windowEl = document.getElementById('minimap-window');
+  minimap = createMinimap(document.getElementById('minimap-canvas'), { onSelect: goToFolder });
+
+  document.getElementById('minimap-task-btn').addEventListener('click', toggleMinimap);
+  document.getElementById('minimap-close-btn').addEventListener('click', toggleMinimap);
+  windowEl.addEventListener('windowresize', () => minimap.draw());
+}
+
+function toggleMinimap() {
+  const visible = document.getElementById('minimap-window').classList.toggle('visible');
+  document.getElementById('minimap-task-btn').classList.toggle('active', visible);
+  updateMinimap();
+}
+
+function toCssColor(hex) {
+  return '#' + hex.toString(16).padStart(6, '0');
+}
+
+// Redraw from the current graph, layout and progress; skipped while the window is closed
+function updateMinimap() {
+  if (!minimap || !document.getElementById('minimap-window').classList.contains('visible')) return;
+
+  const folders = Object.values(FOLDER_GRAPH).map(folder => ({
+    id: folder.id,
+    name: folder.name,
+    x: folderPositions[folder.id] || 0,
+    z: CONFIG.depth.startZ - folder.depth * CONFIG.depth.step,
+    visited: !!state.visitedFolders[folder.id]
+  }));
+
+  const edges = [];
+  Object.values(FOLDER_GRAPH).forEach(folder => {
+    folder.nodes.forEach(node => {
+      if (!node.nextFolderId || !FOLDER_GRAPH[node.nextFolderId]) return;
+      const edge = { fromId: folder.id, toId: node.nextFolderId, node };
+      edges.push({ ...edge, state: getEdgeState(edge) });
+    });
+  });
+
+  const colors = CONFIG.colors;
+  minimap.draw({
+    folders,
+    edges,
+    path: state.navigationHistory,
+    currentId: state.currentFolderId,
+    colors: {
+      background: toCssColor(colors.background),
+      folder: toCssColor(colors.folderHighlight),
+      current: toCssColor(colors.selection),
+      visited: toCssColor(colors[CONFIG.connections.visited.colorKey]),
+      unexplored: toCssColor(colors[CONFIG.connections.unexplored.colorKey]),
+      locked: toCssColor(colors[CONFIG.connections.locked.colorKey]),
+      path: toCssColor(colors.nodeAccent)
+    }
+  });
+}
+
+// ============================================
+// SHELL
+// ============================================
+
+const SHELL_MAX_LINES = 500;
+
+const shell = {
+  history: [],
+  historyIndex: 0
+};
+
+const SHELL_COMMANDS = {
+  help: () => [
+    'ls            list files in the current folder',
+    'cd <name>     enter a folder ( .. up, - back, / home )',
+    'pwd           print the current path',
+    'cat <name>    print a data file',
+    'tree          show folders below this one',
+    'clear         clear the screen',
+    '',
+    'ls marks folders with / and security terminals with *'
+  ],
+  pwd: () => [getCurrentPath()],
+  ls: () => [
+    FOLDER_GRAPH[state.currentFolderId].nodes.map(node => {
+      const name = node.label.toLowerCase();
+      if (node.type === 'terminal') return name + '*';
+      if (node.enterable) return name + '/';
+      return name;
+    }).join('  ')
+  ],
+  cd: args => shellChangeFolder(args[0]),
+  cat: args => shellCat(args[0]),
+  tree: () => {
+    const lines = [FOLDER_GRAPH[state.currentFolderId].name];
+    shellTree(state.currentFolderId, '', new Set([state.currentFolderId]), lines);
+    return lines;
+  },
+  clear: () => {
+    document.getElementById('shell-output').textContent = '';
+    return [];
+  }
+};
+
+function setupShell() {
+  const taskButton = document.getElementById('shell-task-btn');
+  const input = document.getElementById('shell-input');
+
+  taskButton.addEventListener('click', () => {
+    if (document.getElementById('shell-window').classList.contains('visible')) {
+      closeShell();
+    } else {
+      openShell();
+    }
+  });
+  document.getElementById('shell-close-btn').addEventListener('click', closeShell);
+  document.getElementById('shell-output').addEventListener('click', () => input.focus());
+
+  input.addEventListener('keydown', event => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      runShellCommand(input.value);
+      input.value = '';
+    } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+      event.preventDefault();
+      const step = event.key === 'ArrowUp' ? -1 : 1;
+      shell.historyIndex = THREE.MathUtils.clamp(shell.historyIndex + step, 0, shell.history.length);
+      input.value = shell.history[shell.historyIndex] || '';
+    } else if (event.key === 'Tab') {
+      event.preventDefault();
+      completeShellInput(input);
+    }
+  });
+}
+
+function openShell() {
+  const windowEl = document.getElementById('shell-window');
+  if (!windowEl.classList.contains('visible') && !document.getElementById('shell-output').hasChildNodes()) {
+    printShell(['InGen park system shell. Type "help" for commands.']);
+  }
+  windowEl.classList.add('visible');
+  document.getElementById('shell-task-btn').classList.add('active');
+  updateShellPrompt();
+  document.getElementById('shell-input').focus();
+}
+
+function closeShell() {
+  document.getElementById('shell-window').classList.remove('visible');
+  document.getElementById('shell-task-btn').classList.remove('active');
+}
+
+function updateShellPrompt() {
+  document.getElementById('shell-prompt').textContent = `root@park:${getCurrentPath()}$`;
+}
+
+function printShell(lines, className = '') {
+  const output = document.getElementById('shell-output');
+  lines.forEach(line => {
+    const lineEl = document.createElement('div');
+    if (className) lineEl.className = className;
+    lineEl.textContent = line;
+    output.appendChild(lineEl);
+  });
+
+  while (output.childNodes.length > SHELL_MAX_LINES) {
+    output.removeChild(output.firstChild);
+  }
+  output.scrollTop = output.scrollHeight;
+}
+
+function runShellCommand(text) {
+  const line = text.trim();
+  printShell([`root@park:${getCurrentPath()}$ ${line}`], 'shell-echo');
+  if (!line) return;
+
+  shell.history.push(line);
+  shell.historyIndex = shell.history.length;
+
+  const [name, ...args] = line.split(/\s+/);
+  const command = SHELL_COMMANDS[name];
+  if (!command) {
+    printShell([`${name}: command not found`], 'shell-error');
+    return;
+  }
+
+  printShell(command(args));
+  updateShellPrompt();
+}
+
+// Find a node in the current folder by its label, as shown in ls
+function findShellNode(name) {
+  const wanted = name.replace(/[/*]$/, '').toLowerCase();
+  return FOLDER_GRAPH[state.currentFolderId].nodes.find(node => node.label.toLowerCase() === wanted);
+}
+
+function shellChangeFolder(name) {
+  if (state.isTransitioning || state.isWon) return ['cd: device busy'];
+
+  if (!name || name === '/' || name === '~') {
+    navigateHome();
+    return [];
+  }
+  if (name === '..') {
+    navigateUp();
+    return [];
+  }
+  if (name === '-') {
+    navigateBack();
+    return [];
+  }
+
+  const node = findShellNode(name);
+  if (!node) return [`cd: ${name}: No such file or directory`];
+
+  // Same path as double-clicking the node, so gates and traps apply
+  handleNodeClick(node.id);
+  if (node.type === 'terminal' || node.enterable) {
+    handleNodeDoubleClick(node.id);
+    return [];
+  }
+  if (node.type === 'trap') {
+    handleNodeDoubleClick(node.id);
+    return [`cd: ${name}: Segmentation fault`];
+  }
+  return [`cd: ${name}: Not a directory`];
+}
+
+function shellCat(name) {
+  if (!name) return ['cat: missing file operand'];
+  if (state.isTransitioning || state.isWon) return ['cat: device busy'];
+
+  const node = findShellNode(name);
+  if (!node) return [`cat: ${name}: No such file or directory`];
+
+  handleNodeClick(node.id);
+
+  switch (node.type) {
+    case 'lore':
+      handleNodeDoubleClick(node.id);
+      return [node.loreText || ''];
+    case 'clue': {
+      handleNodeDoubleClick(node.id);
+      const clue = CLUE_TEXTS[node.clueId];
+      if (!clue) return [`cat: ${name}: Input/output error`];
+      return clue.body.map(line => line.replace(/^# /, '').replace(CLUE_HIGHLIGHT_PATTERN, '$2'));
+    }
+    case 'trap':
+      handleNodeDoubleClick(node.id);
+      return [`cat: ${name}: Segmentation fault`];
+    case 'redHerring':
+      handleNodeDoubleClick(node.id);
+      return [`cat: ${name}: Permission denied`];
+    case 'terminal':
+    case 'folderGate':
+      return [`cat: ${name}: Is a directory`];
+    default:
+      return [`cat: ${name}: Input/output error`];
+  }
+}
+
+// Folder tree below folderId, stopping at locked terminals and folders already listed
+function shellTree(folderId, prefix, seen, lines) {
+  const links = FOLDER_GRAPH[folderId].nodes.filter(node => node.nextFolderId !== undefined && (node.enterable || node.type === 'terminal'));
+
+  links.forEach((node, index) => {
+    const isLast = index === links.length - 1;
+    const locked = node.type === 'terminal' && !isPuzzleSolved(folderId, getPuzzleId(node));
+    lines.push(`${prefix}${isLast ? '└── ' : '├── '}${node.label.toLowerCase()}/${locked ? ' [locked]' : ''}`);
+
+    const target = FOLDER_GRAPH[node.nextFolderId];
+    if (!locked && target && !seen.has(target.id)) {
+      seen.add(target.id);
+      shellTree(target.id, prefix + (isLast ? '    ' : '│   '), seen, lines);
+    }
+  });
+}
+
+// Tab completion of commands and node labels
+function completeShellInput(input) {
+  const words = input.value.split(' ');
+  const partial = words[words.length - 1].toLowerCase();
+  const candidates = words.length === 1
+    ? Object.keys(SHELL_COMMANDS)
+    : FOLDER_GRAPH[state.currentFolderId].nodes.map(node => node.label.toLowerCase());
+  const matches = candidates.filter(name => name.startsWith(partial));
+
+  if (matches.length === 0) return;
+  if (matches.length === 1) {
+    words[words.length - 1] = matches[0] + ' ';
+    input.value = words.join(' ');
+    return;
+  }
+
+  // Several matches: extend to the common prefix and list them
+  let common = matches[0];
+  matches.forEach(match => {
+    while (!match.startsWith(common)) common = common.slice(0, -1);
+  });
+  words[words.length - 1] = common;
+  input.value = words.join(' ');
+  printShell([`root@park:${getCurrentPath()}$ ${input.value}`, matches.join('  ')], 'shell-echo');
 }
 
 // ============================================
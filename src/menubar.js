@@ -0,0 +1,209 @@
+// Motif-style Menubar
+// Turns the .x-menu-item entries into dropdown menus with keyboard support:
+// Alt+letter opens a menu, arrow keys move, Enter activates, Escape closes.
+//
+// Menu definition:
+//   { id, label, mnemonic, items: [...] | () => [...] }
+// Item definition:
+//   { label, action, shortcut, checked: () => bool, disabled: () => bool }
+//   { separator: true }
+
+export function createMenubar(menubarEl, menus) {
+  let openIndex = -1;
+  let activeItem = -1;
+  let dropdownEl = null;
+  let currentItems = [];
+
+  const menuEls = menus.map(menu => {
+    let el = menubarEl.querySelector(`[data-menu="${menu.id}"]`);
+    if (!el) {
+      el = document.createElement('div');
+      el.className = 'x-menu-item';
+      el.dataset.menu = menu.id;
+      menubarEl.appendChild(el);
+    }
+
+    // Underline the mnemonic letter
+    el.textContent = '';
+    const index = menu.label.toLowerCase().indexOf(menu.mnemonic.toLowerCase());
+    el.append(menu.label.slice(0, index));
+    const mnemonicEl = document.createElement('u');
+    mnemonicEl.textContent = menu.label.charAt(index);
+    el.append(mnemonicEl, menu.label.slice(index + 1));
+    return el;
+  });
+
+  function isOpen() {
+    return openIndex !== -1;
+  }
+
+  function close() {
+    if (dropdownEl) {
+      dropdownEl.remove();
+      dropdownEl = null;
+    }
+    if (openIndex !== -1) {
+      menuEls[openIndex].classList.remove('open');
+    }
+    openIndex = -1;
+    activeItem = -1;
+    currentItems = [];
+  }
+
+  function open(index, { focusFirst = false } = {}) {
+    close();
+    openIndex = (index + menus.length) % menus.length;
+
+    const menu = menus[openIndex];
+    const menuEl = menuEls[openIndex];
+    currentItems = typeof menu.items === 'function' ? menu.items() : menu.items;
+    menuEl.classList.add('open');
+
+    dropdownEl = document.createElement('div');
+    dropdownEl.className = 'x-menu-dropdown';
+    dropdownEl.style.left = menuEl.offsetLeft + 'px';
+    dropdownEl.style.top = menubarEl.offsetHeight + 'px';
+
+    currentItems.forEach((item, itemIndex) => {
+      if (item.separator) {
+        const separator = document.createElement('div');
+        separator.className = 'x-menu-separator';
+        dropdownEl.appendChild(separator);
+        return;
+      }
+
+      const entry = document.createElement('div');
+      entry.className = 'x-menu-entry';
+      if (item.disabled?.()) entry.classList.add('disabled');
+
+      const check = document.createElement('span');
+      check.className = 'x-menu-check';
+      check.textContent = item.checked?.() ? '✓' : '';
+
+      const label = document.createElement('span');
+      label.className = 'x-menu-label';
+      label.textContent = item.label;
+
+      const shortcut = document.createElement('span');
+      shortcut.className = 'x-menu-shortcut';
+      shortcut.textContent = item.shortcut || '';
+
+      entry.append(check, label, shortcut);
+      entry.addEventListener('mouseenter', () => setActive(itemIndex));
+      entry.addEventListener('click', e => {
+        e.stopPropagation();
+        activate(itemIndex);
+      });
+      item.el = entry;
+      dropdownEl.appendChild(entry);
+    });
+
+    menubarEl.appendChild(dropdownEl);
+
+    if (focusFirst) {
+      moveActive(1);
+    }
+  }
+
+  function isSelectable(item) {
+    return item && !item.separator && !item.disabled?.();
+  }
+
+  function setActive(itemIndex) {
+    currentItems.forEach(item => item.el?.classList.remove('active'));
+    activeItem = itemIndex;
+    if (isSelectable(currentItems[itemIndex])) {
+      currentItems[itemIndex].el.classList.add('active');
+    }
+  }
+
+  function moveActive(step) {
+    const count = currentItems.length;
+    for (let i = 1; i <= count; i++) {
+      const next = (activeItem + step * i + count * 2) % count;
+      if (isSelectable(currentItems[next])) {
+        setActive(next);
+        return;
+      }
+    }
+  }
+
+  function activate(itemIndex) {
+    const item = currentItems[itemIndex];
+    if (!isSelectable(item)) return;
+    close();
+    item.action();
+  }
+
+  // Returns true when the key was used by the menubar
+  function handleKeydown(event) {
+    if (event.altKey && !event.ctrlKey && event.key.length === 1) {
+      const index = menus.findIndex(menu => menu.mnemonic.toLowerCase() === event.key.toLowerCase());
+      if (index !== -1) {
+        event.preventDefault();
+        open(index, { focusFirst: true });
+        return true;
+      }
+    }
+
+    if (!isOpen()) return false;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        moveActive(1);
+        break;
+      case 'ArrowUp':
+        moveActive(-1);
+        break;
+      case 'ArrowLeft':
+        open(openIndex - 1, { focusFirst: true });
+        break;
+      case 'ArrowRight':
+        open(openIndex + 1, { focusFirst: true });
+        break;
+      case 'Enter':
+      case ' ':
+        activate(activeItem);
+        break;
+      case 'Escape':
+        close();
+        break;
+      case 'Tab':
+        close();
+        return false;
+      default:
+        return true;
+    }
+
+    event.preventDefault();
+    return true;
+  }
+
+  menuEls.forEach((el, index) => {
+    el.addEventListener('click', e => {
+      e.stopPropagation();
+      if (openIndex === index) {
+        close();
+      } else {
+        open(index);
+      }
+    });
+
+    // Sliding across the bar switches menus while one is open
+    el.addEventListener('mouseenter', () => {
+      if (isOpen() && openIndex !== index) {
+        open(index);
+      }
+    });
+  });
+
+  // Clicking or focusing anywhere outside the menubar closes it
+  document.addEventListener('mousedown', e => {
+    if (isOpen() && !menubarEl.contains(e.target)) close();
+  });
+  document.addEventListener('focusin', e => {
+    if (isOpen() && !menubarEl.contains(e.target)) close();
+  });
+
+  return { open, close, isOpen, handleKeydown };
+}
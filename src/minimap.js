@@ -0,0 +1,174 @@
+// Minimap
+// 2D overview of the whole folder graph, drawn on a canvas in its own window.
+// Folders sit at their 3D layout positions seen from above, scaled to fit:
+//   current folder  filled, with a ring
+//   visited folder  filled, clickable
+//   unseen folder   hollow
+//   locked edge     dashed, behind an unsolved terminal
+//   player path     the breadcrumb path, drawn over the edges
+//
+// Usage:
+//   const minimap = createMinimap(canvas, { onSelect: folderId => ... });
+//   minimap.draw({ folders, edges, path, currentId, colors });
+//     folders: [{ id, name, x, z, visited }]
+//     edges:   [{ fromId, toId, state: 'locked' | 'visited' | 'unexplored' }]
+//     colors:  { background, folder, current, visited, unexplored, locked, path } as CSS colors
+
+const PADDING = 14;
+const FOLDER_RADIUS = 4;
+const HIT_RADIUS = 9;
+
+export function createMinimap(canvas, { onSelect }) {
+  const ctx = canvas.getContext('2d');
+  const points = new Map(); // folderId -> { x, y, folder }
+  let view = null;
+
+  // Match the backing store to the element size so lines stay crisp
+  function resize() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  }
+
+  // Fit every folder into the canvas; deeper folders (lower z) go further down
+  function project() {
+    points.clear();
+    if (view.folders.length === 0) return;
+
+    const xs = view.folders.map(folder => folder.x);
+    const zs = view.folders.map(folder => folder.z);
+    const minX = Math.min(...xs);
+    const maxZ = Math.max(...zs);
+    const spanX = Math.max(...xs) - minX || 1;
+    const spanZ = maxZ - Math.min(...zs) || 1;
+
+    const width = canvas.clientWidth - PADDING * 2;
+    const height = canvas.clientHeight - PADDING * 2;
+    const scale = Math.min(width / spanX, height / spanZ);
+    const offsetX = PADDING + (width - spanX * scale) / 2;
+    const offsetY = PADDING + (height - spanZ * scale) / 2;
+
+    view.folders.forEach(folder => {
+      points.set(folder.id, {
+        x: offsetX + (folder.x - minX) * scale,
+        y: offsetY + (maxZ - folder.z) * scale,
+        folder
+      });
+    });
+  }
+
+  function drawEdges() {
+    const { colors } = view;
+    ctx.lineWidth = 1;
+
+    view.edges.forEach(edge => {
+      const from = points.get(edge.fromId);
+      const to = points.get(edge.toId);
+      if (!from || !to) return;
+
+      ctx.strokeStyle = colors[edge.state];
+      ctx.globalAlpha = edge.state === 'unexplored' ? 0.5 : 1;
+      ctx.setLineDash(edge.state === 'locked' ? [3, 3] : []);
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+    });
+
+    ctx.globalAlpha = 1;
+    ctx.setLineDash([]);
+  }
+
+  function drawPath() {
+    const pathPoints = view.path.map(id => points.get(id)).filter(Boolean);
+    if (pathPoints.length < 2) return;
+
+    ctx.strokeStyle = view.colors.path;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    pathPoints.forEach((point, index) => {
+      if (index === 0) ctx.moveTo(point.x, point.y);
+      else ctx.lineTo(point.x, point.y);
+    });
+    ctx.stroke();
+  }
+
+  function drawFolders() {
+    const { colors } = view;
+
+    points.forEach(({ x, y, folder }) => {
+      ctx.beginPath();
+      ctx.arc(x, y, FOLDER_RADIUS, 0, Math.PI * 2);
+      if (folder.visited) {
+        ctx.fillStyle = folder.id === view.currentId ? colors.current : colors.folder;
+        ctx.fill();
+      } else {
+        ctx.fillStyle = colors.background;
+        ctx.fill();
+        ctx.strokeStyle = colors.unexplored;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      }
+    });
+
+    const current = points.get(view.currentId);
+    if (current) {
+      ctx.strokeStyle = colors.current;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(current.x, current.y, FOLDER_RADIUS + 3, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+
+  // Pass a new view to redraw with it, or nothing to redraw the last one (e.g. after a resize)
+  function draw(nextView = view) {
+    view = nextView;
+    if (!view || canvas.clientWidth === 0) return;
+
+    resize();
+    project();
+
+    ctx.fillStyle = view.colors.background;
+    ctx.fillRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+    drawEdges();
+    drawPath();
+    drawFolders();
+  }
+
+  // Closest folder under the pointer, within HIT_RADIUS css pixels
+  function folderAt(event) {
+    const rect = canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+
+    let closest = null;
+    let closestDistance = HIT_RADIUS;
+    points.forEach(point => {
+      const distance = Math.hypot(point.x - x, point.y - y);
+      if (distance <= closestDistance) {
+        closest = point.folder;
+        closestDistance = distance;
+      }
+    });
+    return closest;
+  }
+
+  canvas.addEventListener('mousemove', event => {
+    const folder = folderAt(event);
+    canvas.title = folder ? folder.name : '';
+    canvas.style.cursor = folder && folder.visited && folder.id !== view.currentId ? 'pointer' : '';
+  });
+
+  canvas.addEventListener('click', event => {
+    const folder = folderAt(event);
+    if (folder && folder.visited && folder.id !== view.currentId) onSelect(folder.id);
+  });
+
+  return { draw };
+}
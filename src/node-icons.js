@@ -0,0 +1,133 @@
+// Node Icon Registry
+// Each entry draws a white line-art decal onto a square 2D canvas.
+// The decal is tinted by the icon material, so draw in white only.
+// Add new icon names here and reference them from folders.json "icon".
+
+export const ICON_TEXTURE_SIZE = 128;
+
+export const DEFAULT_ICON = 'default';
+
+export const NODE_ICONS = {
+  // Sheet with a folded corner and text lines
+  paper(ctx, size) {
+    const s = size / 128;
+    ctx.beginPath();
+    ctx.moveTo(32 * s, 16 * s);
+    ctx.lineTo(76 * s, 16 * s);
+    ctx.lineTo(96 * s, 36 * s);
+    ctx.lineTo(96 * s, 112 * s);
+    ctx.lineTo(32 * s, 112 * s);
+    ctx.closePath();
+    ctx.moveTo(76 * s, 16 * s);
+    ctx.lineTo(76 * s, 36 * s);
+    ctx.lineTo(96 * s, 36 * s);
+    ctx.stroke();
+
+    ctx.beginPath();
+    [52, 68, 84, 100].forEach(y => {
+      ctx.moveTo(44 * s, y * s);
+      ctx.lineTo((y === 100 ? 68 : 84) * s, y * s);
+    });
+    ctx.stroke();
+  },
+
+  // Padlock
+  lock(ctx, size) {
+    const s = size / 128;
+    ctx.beginPath();
+    ctx.arc(64 * s, 52 * s, 22 * s, Math.PI, 0);
+    ctx.lineTo(86 * s, 60 * s);
+    ctx.moveTo(42 * s, 52 * s);
+    ctx.lineTo(42 * s, 60 * s);
+    ctx.stroke();
+
+    ctx.strokeRect(30 * s, 60 * s, 68 * s, 52 * s);
+    ctx.beginPath();
+    ctx.arc(64 * s, 82 * s, 7 * s, 0, Math.PI * 2);
+    ctx.moveTo(64 * s, 89 * s);
+    ctx.lineTo(64 * s, 100 * s);
+    ctx.stroke();
+  },
+
+  // Hazard triangle
+  warning(ctx, size) {
+    const s = size / 128;
+    ctx.beginPath();
+    ctx.moveTo(64 * s, 14 * s);
+    ctx.lineTo(116 * s, 110 * s);
+    ctx.lineTo(12 * s, 110 * s);
+    ctx.closePath();
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(64 * s, 46 * s);
+    ctx.lineTo(64 * s, 80 * s);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(64 * s, 94 * s, 5 * s, 0, Math.PI * 2);
+    ctx.fill();
+  },
+
+  // Microchip with pins on every side
+  chip(ctx, size) {
+    const s = size / 128;
+    ctx.strokeRect(36 * s, 36 * s, 56 * s, 56 * s);
+    ctx.strokeRect(52 * s, 52 * s, 24 * s, 24 * s);
+
+    ctx.beginPath();
+    [48, 64, 80].forEach(p => {
+      ctx.moveTo(p * s, 36 * s);
+      ctx.lineTo(p * s, 18 * s);
+      ctx.moveTo(p * s, 92 * s);
+      ctx.lineTo(p * s, 110 * s);
+      ctx.moveTo(36 * s, p * s);
+      ctx.lineTo(18 * s, p * s);
+      ctx.moveTo(92 * s, p * s);
+      ctx.lineTo(110 * s, p * s);
+    });
+    ctx.stroke();
+  },
+
+  // Folder with a tab
+  folder(ctx, size) {
+    const s = size / 128;
+    ctx.beginPath();
+    ctx.moveTo(14 * s, 32 * s);
+    ctx.lineTo(50 * s, 32 * s);
+    ctx.lineTo(60 * s, 44 * s);
+    ctx.lineTo(114 * s, 44 * s);
+    ctx.lineTo(114 * s, 104 * s);
+    ctx.lineTo(14 * s, 104 * s);
+    ctx.closePath();
+    ctx.moveTo(14 * s, 56 * s);
+    ctx.lineTo(114 * s, 56 * s);
+    ctx.stroke();
+  },
+
+  // Fallback for unknown icon names
+  default(ctx, size) {
+    const s = size / 128;
+    ctx.strokeRect(28 * s, 28 * s, 72 * s, 72 * s);
+    ctx.beginPath();
+    ctx.arc(64 * s, 64 * s, 10 * s, 0, Math.PI * 2);
+    ctx.fill();
+  }
+};
+
+// Render an icon's decal to a fresh canvas
+export function drawNodeIcon(iconType) {
+  const draw = NODE_ICONS[iconType] || NODE_ICONS[DEFAULT_ICON];
+  const canvas = document.createElement('canvas');
+  canvas.width = ICON_TEXTURE_SIZE;
+  canvas.height = ICON_TEXTURE_SIZE;
+
+  const ctx = canvas.getContext('2d');
+  ctx.strokeStyle = '#ffffff';
+  ctx.fillStyle = '#ffffff';
+  ctx.lineWidth = ICON_TEXTURE_SIZE / 16;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  draw(ctx, ICON_TEXTURE_SIZE);
+
+  return canvas;
+}
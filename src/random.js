@@ -0,0 +1,25 @@
+// Seeded Randomness
+// Layout and cosmetic jitter use these instead of Math.random, so the same seed
+// always produces the same scene (screenshots, walkthrough docs, browser tests).
+
+// 32-bit FNV-1a hash, turns any string into a numeric seed
+export function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32 generator: returns a function yielding floats in [0, 1), like Math.random
+export function createRandom(seed) {
+  let a = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,184 @@
+// Themes
+// A theme recolors the 3D scene and the X11/CDE window chrome together.
+//   scene:  overrides for CONFIG.colors in main.js (hex numbers)
+//   chrome: overrides for the CSS custom properties on :root in index.html,
+//           without the leading "--"
+// Every theme is applied on top of the default, so it only needs to list
+// what it changes.
+
+export const DEFAULT_THEME = 'cde';
+
+export const THEMES = {
+  cde: {
+    name: 'Teal CDE',
+    scene: {
+      background: 0x050607,
+      horizonTop: 0x1f3f38,
+      floor: 0x08090a,
+      gridPrimary: 0x00e0d6,
+      gridAccent: 0x4fffe9,
+      folderBase: 0xb45a55,
+      folderHighlight: 0xc96b63,
+      nodeBase: 0x7fd0e6,
+      nodeAccent: 0x9be3f3,
+      selection: 0xffffff,
+      deny: 0xff4a4a,
+      win: 0x3a7f63
+    },
+    chrome: {
+      'desktop': '#008080',
+      'desktop-dark': '#006666',
+      'desktop-light': '#009999',
+      'win-overlay': 'rgba(0, 128, 128, 0.8)',
+      'x-face': '#c0c0c0',
+      'x-face-hover': '#d4d0c8',
+      'x-face-pressed': '#a0a0a0',
+      'x-light': '#ffffff',
+      'x-shadow': '#808080',
+      'x-dark': '#000000',
+      'x-frame': '#737070',
+      'x-grip': '#7a7a7a',
+      'x-field': '#ffffff',
+      'x-text': '#000000',
+      'x-disabled': '#808080',
+      'x-accent': '#000080',
+      'x-title': '#000080',
+      'x-title-text': '#ffffff',
+      'x-error': '#c00000',
+      'term-bg': '#000000',
+      'term-text': '#00ff00',
+      'term-dim': '#00aa00',
+      'term-error': '#ff4a4a',
+      'term-highlight': 'rgba(0, 255, 0, 0.2)'
+    }
+  },
+
+  amber: {
+    name: 'Amber Monochrome',
+    scene: {
+      background: 0x080500,
+      horizonTop: 0x3a2400,
+      floor: 0x0a0700,
+      gridPrimary: 0xffb000,
+      gridAccent: 0xffc94d,
+      folderBase: 0x8a5a00,
+      folderHighlight: 0xffb000,
+      nodeBase: 0xe89a2c,
+      nodeAccent: 0xffc266,
+      selection: 0xfff2d0,
+      deny: 0xff5a1f,
+      win: 0xc08000
+    },
+    chrome: {
+      'desktop': '#3a2400',
+      'desktop-dark': '#241600',
+      'desktop-light': '#5a3a00',
+      'win-overlay': 'rgba(90, 58, 0, 0.8)',
+      'x-face': '#1a1206',
+      'x-face-hover': '#2a1d0a',
+      'x-face-pressed': '#0d0903',
+      'x-light': '#b07800',
+      'x-shadow': '#5a3a00',
+      'x-dark': '#000000',
+      'x-frame': '#7a5410',
+      'x-grip': '#7a5410',
+      'x-field': '#0d0903',
+      'x-text': '#ffb000',
+      'x-disabled': '#7a5410',
+      'x-accent': '#ffc94d',
+      'x-title': '#7a5410',
+      'x-title-text': '#ffd88a',
+      'x-error': '#ff5a1f',
+      'term-text': '#ffb000',
+      'term-dim': '#b07800',
+      'term-error': '#ff5a1f',
+      'term-highlight': 'rgba(255, 176, 0, 0.2)'
+    }
+  },
+
+  phosphor: {
+    name: 'Green Phosphor',
+    scene: {
+      background: 0x000600,
+      horizonTop: 0x0f3312,
+      floor: 0x000800,
+      gridPrimary: 0x33ff66,
+      gridAccent: 0x99ffaa,
+      folderBase: 0x1f6b2e,
+      folderHighlight: 0x33ff66,
+      nodeBase: 0x4ddb6e,
+      nodeAccent: 0x99ffaa,
+      selection: 0xe0ffe6,
+      deny: 0xd8ff33,
+      win: 0x66ff99
+    },
+    chrome: {
+      'desktop': '#0f3312',
+      'desktop-dark': '#061a08',
+      'desktop-light': '#1f4d24',
+      'win-overlay': 'rgba(15, 51, 18, 0.85)',
+      'x-face': '#061407',
+      'x-face-hover': '#0d240f',
+      'x-face-pressed': '#020802',
+      'x-light': '#2e9940',
+      'x-shadow': '#134d1c',
+      'x-dark': '#000000',
+      'x-frame': '#1f6b2e',
+      'x-grip': '#1f6b2e',
+      'x-field': '#020802',
+      'x-text': '#33ff66',
+      'x-disabled': '#1f6b2e',
+      'x-accent': '#99ffaa',
+      'x-title': '#1f6b2e',
+      'x-title-text': '#ccffd5',
+      'x-error': '#d8ff33',
+      'term-text': '#33ff66',
+      'term-dim': '#1fa33f',
+      'term-error': '#d8ff33',
+      'term-highlight': 'rgba(51, 255, 102, 0.2)'
+    }
+  },
+
+  contrast: {
+    name: 'High Contrast',
+    scene: {
+      background: 0x000000,
+      horizonTop: 0x000000,
+      floor: 0x000000,
+      gridPrimary: 0xffffff,
+      gridAccent: 0xffff00,
+      folderBase: 0x1a3cff,
+      folderHighlight: 0xffffff,
+      nodeBase: 0xffff00,
+      nodeAccent: 0xffffff,
+      selection: 0x00ffff,
+      deny: 0xff0000,
+      win: 0x00ff00
+    },
+    chrome: {
+      'desktop': '#000000',
+      'desktop-dark': '#000000',
+      'desktop-light': '#000000',
+      'win-overlay': 'rgba(0, 0, 0, 0.9)',
+      'x-face': '#000000',
+      'x-face-hover': '#333333',
+      'x-face-pressed': '#555555',
+      'x-light': '#ffffff',
+      'x-shadow': '#ffffff',
+      'x-dark': '#ffffff',
+      'x-frame': '#ffffff',
+      'x-grip': '#ffffff',
+      'x-field': '#000000',
+      'x-text': '#ffffff',
+      'x-disabled': '#aaaaaa',
+      'x-accent': '#ffff00',
+      'x-title': '#ffff00',
+      'x-title-text': '#000000',
+      'x-error': '#ff0000',
+      'term-text': '#ffffff',
+      'term-dim': '#ffff00',
+      'term-error': '#ff0000',
+      'term-highlight': 'rgba(255, 255, 0, 0.35)'
+    }
+  }
+};
@@ -0,0 +1,5 @@
+// Trap Effects
+// Names of the trap effects a folders.json trap node may use. main.js implements
+// each one in TRAP_EFFECTS; the folder validator checks trapEffect against this list.
+
+export const TRAP_EFFECT_NAMES = ['back', 'scramble', 'lockout', 'relocate', 'hideLabels', 'invertControls', 'reshuffle'];